@@ -0,0 +1,8 @@
+// Deployment overrides, read at startup. Edit this file on the server to change
+// settings without rebuilding; leave a value out to use the build-time default.
+window.ECHOES_CONFIG = {
+  // apiUrl: 'https://echoes-estate-backend.onrender.com',
+  // mockBackend: true,
+  // memoryBudget: 1200,
+  // relayUrl: 'ws://localhost:8787'
+};
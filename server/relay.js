@@ -0,0 +1,151 @@
+// Séance relay: run with `npm run relay`. Players in the same séance share one ordered stream of game events.
+// The relay knows little about the game; it numbers every event it receives and sends it to all members,
+// sender included, so every client applies the same events in the same order. Newcomers are sent the whole
+// stream so far and rebuild the game from it.
+const WebSocket = require('ws');
+
+const PORT = Number(process.env.RELAY_PORT) || 8787;
+const CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+const MAX_NAME_LENGTH = 24;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+// A séance whose log grows past this ends, and every player carries on alone from where it stopped
+const MAX_LOG_EVENTS = 5000;
+// The gameplay events players may send. The relay itself is the only source of seance_started and player_* events.
+const PLAYER_EVENTS = new Set([
+  'turn_started', 'message_added', 'message_updated', 'message_removed', 'room_entered', 'spirit_addressed',
+  'emotion_changed', 'flag_set', 'feature_examined', 'item_taken', 'item_given', 'trust_changed', 'ending_reached',
+  'ghost_answered', 'travel_voted'
+]);
+const HEARTBEAT_MS = 30000;
+
+// code -> { seq, log, members: Map<socket, player>, nextPlayer }
+const seances = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const refuse = (socket, reason) => {
+  send(socket, { type: 'error', reason });
+  return null;
+};
+
+// An update to a message already in the log is folded into it, so newcomers replay the message once as it stands
+const compact = (log, event) => {
+  if (event.type !== 'message_updated' || !event.changes) return false;
+  const added = log.find(entry => entry.event.type === 'message_added' && entry.event.message
+    && entry.event.message.id === event.id);
+  if (!added) return false;
+  added.event = { ...added.event, message: { ...added.event.message, ...event.changes } };
+  return true;
+};
+
+const append = (seance, sender, event) => {
+  seance.seq += 1;
+  const entry = { type: 'event', seq: seance.seq, sender, event: { ...event, at: event.at || Date.now() } };
+  if (!compact(seance.log, entry.event)) seance.log.push(entry);
+  seance.members.forEach((member, socket) => send(socket, entry));
+};
+
+const end = (code, seance, reason) => {
+  if (seances.get(code) === seance) seances.delete(code);
+  seance.members.forEach((member, socket) => {
+    send(socket, { type: 'ended', reason });
+    socket.close();
+  });
+  seance.members.clear();
+};
+
+const join = (socket, { code, name, create }) => {
+  const cleanCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  const cleanName = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!CODE_PATTERN.test(cleanCode)) return refuse(socket, 'badCode');
+  if (!cleanName) return refuse(socket, 'badName');
+  let seance = seances.get(cleanCode);
+  if (create && seance) return refuse(socket, 'codeTaken');
+  if (!create && !seance) return refuse(socket, 'unknownCode');
+  if (!seance) {
+    seance = { seq: 0, log: [], members: new Map(), nextPlayer: 1 };
+    seances.set(cleanCode, seance);
+    append(seance, null, { type: 'seance_started', mode: create.mode === 'host' ? 'host' : 'vote', state: create.state || {} });
+  }
+  const player = { id: `p${seance.nextPlayer++}`, name: cleanName };
+  seance.members.set(socket, player);
+  send(socket, { type: 'welcome', code: cleanCode, player, log: seance.log });
+  append(seance, null, { type: 'player_joined', player });
+  return { code: cleanCode, seance, player };
+};
+
+const leave = (membership) => {
+  const { code, seance, player } = membership;
+  seance.members.forEach((member, socket) => {
+    if (member === player) seance.members.delete(socket);
+  });
+  if (seances.get(code) !== seance) return;
+  if (seance.members.size === 0) {
+    seances.delete(code);
+    return;
+  }
+  append(seance, null, { type: 'player_left', player: player.id });
+};
+
+const server = new WebSocket.Server({ port: PORT, maxPayload: MAX_MESSAGE_BYTES });
+
+server.on('connection', socket => {
+  let membership = null;
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  // Oversized frames and bad UTF-8 end this connection only; ws closes it after reporting the error
+  socket.on('error', error => {
+    console.warn(`Dropped a séance connection: ${error.message}`);
+  });
+
+  socket.on('message', raw => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      send(socket, { type: 'error', reason: 'badMessage' });
+      return;
+    }
+    // Valid JSON is not necessarily a message: null, numbers, strings and arrays are refused like bad JSON
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      send(socket, { type: 'error', reason: 'badMessage' });
+      return;
+    }
+    if (message.type === 'join' && !membership) {
+      membership = join(socket, message);
+    } else if (message.type === 'event' && membership && message.event && PLAYER_EVENTS.has(message.event.type)) {
+      if (membership.seance.log.length >= MAX_LOG_EVENTS) {
+        end(membership.code, membership.seance, 'seanceFull');
+      } else {
+        append(membership.seance, membership.player.id, message.event);
+      }
+    } else {
+      send(socket, { type: 'error', reason: 'badMessage' });
+    }
+  });
+
+  socket.on('close', () => {
+    if (membership) leave(membership);
+    membership = null;
+  });
+});
+
+// Drops players whose connection died without closing, so votes are not held up waiting for them
+const heartbeat = setInterval(() => {
+  server.clients.forEach(socket => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_MS);
+
+server.on('close', () => clearInterval(heartbeat));
+
+console.log(`Séance relay listening on ws://localhost:${PORT}`);
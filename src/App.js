@@ -1,4 +1,12 @@
-import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useMemo, useReducer } from 'react';
+import mansion from './content/mansion.json';
+import mansionSchema from './content/mansion.schema.json';
+import {
+  ROOMS, ITEMS, SPIRITS, STORY, LORE, DEFAULT_SPIRIT, getSpiritsInRoom, getConnections, isPathOpen, acceptsItem,
+  INITIAL_GAME, getSpiritTrust, getSeanceHost, engineReducer, createEngine, getTurns
+} from './engine';
+import en from './locales/en.json';
+import es from './locales/es.json';
 
 const GameStateContext = createContext();
 
@@ -10,273 +18,2414 @@ const useGameState = () => {
   return context;
 };
 
-const ROOMS = {
-  entrance: {
-    id: 'entrance',
-    name: 'Grand Entrance Hall',
-    description: 'Thunder rumbles outside as rain lashes against cracked stained glass windows. A grand staircase spirals into darkness above.',
-    connections: ['library', 'dining', 'garden'],
-    music: '/music/thunder-dreams.mp3',
-    background: 'https://i.imgur.com/U0t9EZn.png'
+const resolveSchemaRef = (root, ref) => ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+
+// Checks a value against the subset of JSON Schema that mansion.schema.json uses
+const checkSchema = (value, schema, path, errors, root = schema) => {
+  if (schema.$ref) {
+    checkSchema(value, resolveSchemaRef(root, schema.$ref), path, errors, root);
+    return;
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => {
+      const optionErrors = [];
+      checkSchema(value, option, path, optionErrors, root);
+      return optionErrors.length === 0;
+    });
+    if (matching.length !== 1) errors.push(`${path}: does not match any allowed shape`);
+    return;
+  }
+  const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  if (schema.type && schema.type !== type) {
+    errors.push(`${path}: expected ${schema.type} but found ${type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+  if (type === 'array' && schema.items) {
+    value.forEach((entry, index) => checkSchema(entry, schema.items, `${path}[${index}]`, errors, root));
+  }
+  if (type === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => errors.push(`${path}: missing "${key}"`));
+    Object.entries(value).forEach(([key, entry]) => {
+      const propertySchema = (schema.properties || {})[key] ?? schema.additionalProperties;
+      if (propertySchema === false) errors.push(`${path}: unknown field "${key}"`);
+      else if (propertySchema) checkSchema(entry, propertySchema, `${path}.${key}`, errors, root);
+    });
+  }
+};
+
+// Returns a list of human-readable problems; an empty list means the mansion is playable.
+// Locks are ignored for reachability: a room only needs *some* path from the start room.
+const validateManifest = (manifest, schema = mansionSchema) => {
+  const errors = [];
+  checkSchema(manifest, schema, 'mansion', errors);
+  if (errors.length > 0) return errors;
+
+  const { rooms, items, spirits } = manifest;
+  const edges = Object.values(rooms).flatMap(room => room.connections
+    .map(connection => typeof connection === 'string' ? { from: room.id, to: connection } : { from: room.id, ...connection }));
+
+  if (!rooms[manifest.startRoom]) errors.push(`startRoom: unknown room "${manifest.startRoom}"`);
+  if (!spirits[manifest.defaultSpirit]) errors.push(`defaultSpirit: unknown spirit "${manifest.defaultSpirit}"`);
+
+  Object.entries(rooms).forEach(([key, room]) => {
+    if (room.id !== key) errors.push(`rooms.${key}: id "${room.id}" does not match its key`);
+    (room.atmosphere || []).forEach((rule, index) => [
+      ...Object.keys(rule.trust || {}), ...Object.keys(rule.trustBelow || {}), ...(rule.spirit ? [rule.spirit] : [])
+    ].filter(spiritId => !spirits[spiritId])
+      .forEach(spiritId => errors.push(`rooms.${key}.atmosphere[${index}]: unknown spirit "${spiritId}"`)));
+    (room.items || []).filter(itemId => !items[itemId])
+      .forEach(itemId => errors.push(`rooms.${key}.items: unknown item "${itemId}"`));
+  });
+
+  edges.forEach(edge => {
+    const requires = edge.requires || {};
+    if (!rooms[edge.to]) {
+      errors.push(`rooms.${edge.from}.connections: unknown room "${edge.to}"`);
+      return;
+    }
+    if (!edge.oneWay && !edges.some(back => back.from === edge.to && back.to === edge.from)) {
+      errors.push(`rooms.${edge.from}.connections: "${edge.to}" has no way back; add a return connection or set "oneWay": true`);
+    }
+    if (requires.item && !items[requires.item]) {
+      errors.push(`rooms.${edge.from}.connections: "${edge.to}" requires unknown item "${requires.item}"`);
+    }
+    if (requires.spirit && !spirits[requires.spirit]) {
+      errors.push(`rooms.${edge.from}.connections: "${edge.to}" requires trust of unknown spirit "${requires.spirit}"`);
+    }
+  });
+
+  const reachable = new Set([manifest.startRoom]);
+  const queue = [manifest.startRoom];
+  while (queue.length > 0) {
+    const from = queue.shift();
+    edges.filter(edge => edge.from === from && rooms[edge.to] && !reachable.has(edge.to)).forEach(edge => {
+      reachable.add(edge.to);
+      queue.push(edge.to);
+    });
+  }
+  Object.keys(rooms).filter(roomId => !reachable.has(roomId))
+    .forEach(roomId => errors.push(`rooms.${roomId}: unreachable from "${manifest.startRoom}"`));
+
+  Object.values(rooms).forEach((room, index, all) => {
+    const clash = all.slice(0, index).find(other => other.map.x === room.map.x && other.map.y === room.map.y);
+    if (clash) errors.push(`rooms.${room.id}.map: shares grid cell ${room.map.x},${room.map.y} with "${clash.id}"`);
+  });
+
+  Object.entries(items).forEach(([key, item]) => {
+    if (item.id !== key) errors.push(`items.${key}: id "${item.id}" does not match its key`);
+    [...Object.keys(item.giftTrust || {}), ...Object.keys(item.givesFlag || {}), ...(item.recipients || [])]
+      .filter(spiritId => !spirits[spiritId])
+      .forEach(spiritId => errors.push(`items.${key}: unknown spirit "${spiritId}"`));
+    if (item.recipients) {
+      [...Object.keys(item.giftTrust || {}), ...Object.keys(item.givesFlag || {})]
+        .filter(spiritId => !item.recipients.includes(spiritId))
+        .forEach(spiritId => errors.push(`items.${key}: "${spiritId}" is keyed but is not one of its recipients`));
+    }
+  });
+
+  Object.entries(spirits).forEach(([key, spirit]) => {
+    if (spirit.id !== key) errors.push(`spirits.${key}: id "${spirit.id}" does not match its key`);
+    spirit.homeRooms.filter(roomId => !rooms[roomId])
+      .forEach(roomId => errors.push(`spirits.${key}.homeRooms: unknown room "${roomId}"`));
+  });
+
+  Object.entries(manifest.lore).forEach(([key, entry]) => {
+    const { examine, spirit } = entry.unlock;
+    if (entry.id !== key) errors.push(`lore.${key}: id "${entry.id}" does not match its key`);
+    if (!rooms[entry.room]) errors.push(`lore.${key}: unknown room "${entry.room}"`);
+    else if (examine && !(rooms[entry.room].features || {})[examine]) {
+      errors.push(`lore.${key}.unlock: room "${entry.room}" has no feature "${examine}"`);
+    }
+    if (spirit && !spirits[spirit]) errors.push(`lore.${key}.unlock: unknown spirit "${spirit}"`);
+  });
+
+  const checkCondition = (condition, path) => {
+    (condition.visited || []).filter(roomId => !rooms[roomId])
+      .forEach(roomId => errors.push(`${path}.visited: unknown room "${roomId}"`));
+    (condition.items || []).filter(itemId => !items[itemId])
+      .forEach(itemId => errors.push(`${path}.items: unknown item "${itemId}"`));
+    [...Object.keys(condition.trust || {}), ...Object.keys(condition.trustBelow || {})]
+      .filter(spiritId => !spirits[spiritId])
+      .forEach(spiritId => errors.push(`${path}: unknown spirit "${spiritId}"`));
+  };
+  const { chapters, endings } = manifest.story;
+  if (chapters.length === 0) errors.push('story.chapters: at least one chapter is required');
+  chapters.forEach((chapter, index) => {
+    if (chapters.slice(0, index).some(({ id }) => id === chapter.id)) errors.push(`story.chapters[${index}]: duplicate id "${chapter.id}"`);
+    chapter.objectives.forEach((objective, objectiveIndex) => checkCondition(objective.when, `story.chapters[${index}].objectives[${objectiveIndex}].when`));
+  });
+  endings.forEach((ending, index) => {
+    if (endings.slice(0, index).some(({ id }) => id === ending.id)) errors.push(`story.endings[${index}]: duplicate id "${ending.id}"`);
+    checkCondition(ending.when, `story.endings[${index}].when`);
+  });
+  if (!endings.some(({ when }) => when.action === 'leave' && Object.keys(when).length === 1)) {
+    errors.push('story.endings: no ending catches the player leaving; add one whose only condition is "action": "leave"');
+  }
+
+  return errors;
+};
+
+// Only same-origin assets can be probed; remote backgrounds are left to the browser
+const findMissingAssets = async (manifest) => {
+  const urls = [...new Set([
+    manifest.welcomeMusic,
+    ...Object.values(manifest.rooms).flatMap(room => [room.music, room.background])
+  ])].filter(url => url.startsWith('/'));
+  const missing = await Promise.all(urls.map(async url => {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      // The dev server answers unknown paths with index.html rather than a 404
+      const contentType = response.headers.get('Content-Type') || '';
+      return response.ok && !contentType.includes('text/html') ? null : url;
+    } catch (error) {
+      return url;
+    }
+  }));
+  return missing.filter(Boolean).map(url => `missing asset "${url}"`);
+};
+
+const reportManifestProblems = async (manifest) => {
+  const problems = [...validateManifest(manifest), ...await findMissingAssets(manifest)];
+  if (problems.length > 0) {
+    console.error(`content/mansion.json has ${problems.length} problem(s):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+};
+
+const ROOM_NAMES = Object.values(ROOMS).map(room => ({ id: room.id, names: [room.id, room.name, ...(room.aliases || [])] }));
+
+// The shortest way through open passages, as the rooms entered after `from`; null when `to` cannot be reached yet
+const findRoute = (from, to, progress) => {
+  const cameFrom = { [from]: null };
+  const queue = [from];
+  while (queue.length > 0 && !(to in cameFrom)) {
+    const roomId = queue.shift();
+    getConnections(roomId)
+      .filter(connection => ROOMS[connection.to] && !(connection.to in cameFrom) && isPathOpen(connection, progress))
+      .forEach(connection => {
+        cameFrom[connection.to] = roomId;
+        queue.push(connection.to);
+      });
+  }
+  if (!(to in cameFrom)) return null;
+  const route = [];
+  for (let roomId = to; roomId !== from; roomId = cameFrom[roomId]) route.unshift(roomId);
+  return route;
+};
+
+// Each room has its own path under the app's base URL; the query string (such as ?mock) is carried along
+const ROUTE_BASE = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+const roomUrl = (roomId) => `${ROUTE_BASE}${roomId ? `/room/${encodeURIComponent(roomId)}` : '/'}${window.location.search}`;
+
+const roomFromPath = (pathname) => {
+  const match = pathname.slice(ROUTE_BASE.length).match(/^\/room\/([^/]+)\/?$/);
+  const roomId = match && decodeURIComponent(match[1]);
+  return roomId && ROOMS[roomId] ? roomId : null;
+};
+
+// Discovered entries are passed to the ghost in English, like the rest of the prompt
+const lorePrompt = (journal) => {
+  const found = Object.values(LORE).filter(({ id }) => journal[id]);
+  return found.length > 0
+    ? `The visitor has uncovered: ${found.map(({ title, text }) => `${title}: ${text}`).join(' ')} Build on what they know; never recite it.`
+    : '';
+};
+
+// progress carries the player's storyFlags, spiritTrust, roomVisits, inventory and givenItems.
+// Conditions with an action only hold while that action is being taken, and vice versa.
+const meetsCondition = (condition, progress, action = null) =>
+  (condition.flags || []).every(flag => progress.storyFlags[flag])
+  && (condition.visited || []).every(roomId => progress.roomVisits[roomId])
+  && (condition.items || []).every(itemId => progress.inventory.includes(itemId) || progress.givenItems.includes(itemId))
+  && Object.entries(condition.trust || {}).every(([spiritId, minimum]) => progress.spiritTrust[spiritId] >= minimum)
+  && Object.entries(condition.trustBelow || {}).every(([spiritId, limit]) => progress.spiritTrust[spiritId] < limit)
+  && (condition.action || null) === action;
+
+const getChapterIndex = (chapterId) => Math.max(0, STORY.chapters.findIndex(({ id }) => id === chapterId));
+
+const findEnding = (progress, action = null) => STORY.endings.find(({ when }) => meetsCondition(when, progress, action));
+
+// The manifest is the English source for room, item and story text; other catalogs translate the same keys
+const buildContentStrings = (manifest) => Object.fromEntries([
+  ...Object.values(manifest.rooms).flatMap(room => [
+    [`room.${room.id}.name`, room.name],
+    [`room.${room.id}.description`, room.description],
+    [`room.${room.id}.floor`, room.map.floor],
+    ...Object.entries(room.features || {}).map(([id, feature]) => [`room.${room.id}.feature.${id}`, feature.description]),
+    ...getConnections(room.id).filter(({ hint }) => hint).map(({ to, hint }) => [`room.${room.id}.lock.${to}`, hint])
+  ]),
+  ...Object.values(manifest.items).flatMap(item => [
+    [`item.${item.id}.name`, item.name],
+    [`item.${item.id}.description`, item.description]
+  ]),
+  ...Object.values(manifest.lore).flatMap(entry => [
+    [`lore.${entry.id}.title`, entry.title],
+    [`lore.${entry.id}.text`, entry.text]
+  ]),
+  ...manifest.story.chapters.flatMap(chapter => [
+    [`story.${chapter.id}.title`, chapter.title],
+    ...chapter.objectives.map(({ text }, index) => [`story.${chapter.id}.objective.${index}`, text])
+  ]),
+  ...manifest.story.endings.flatMap(ending => [
+    [`ending.${ending.id}.title`, ending.title],
+    [`ending.${ending.id}.description`, ending.description]
+  ])
+]);
+
+// language is the name the ghost prompt uses when asking for replies in this locale
+const LOCALES = {
+  en: { name: 'English', language: 'English', strings: { ...buildContentStrings(mansion), ...en } },
+  es: { name: 'Español', language: 'Spanish', strings: es }
+};
+
+const DEFAULT_LOCALE = 'en';
+
+const reportedMissingStrings = new Set();
+
+// Falls back to English for keys a catalog lacks. Passing a count picks the ".one" or ".other" form when one exists.
+const translate = (locale, key, vars = {}) => {
+  const lookup = (strings) => {
+    if (vars.count !== undefined) {
+      const plural = strings[`${key}.${vars.count === 1 ? 'one' : 'other'}`];
+      if (plural !== undefined) return plural;
+    }
+    return strings[key];
+  };
+  let template = lookup((LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).strings);
+  if (template === undefined) {
+    template = lookup(LOCALES[DEFAULT_LOCALE].strings);
+    const missing = `${locale}:${key}`;
+    if (process.env.NODE_ENV === 'development' && !reportedMissingStrings.has(missing)) {
+      reportedMissingStrings.add(missing);
+      console.warn(`Missing ${locale} translation for "${key}"${template === undefined ? ' (no English fallback either)' : ''}`);
+    }
+    if (template === undefined) return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+};
+
+const detectLocale = () => {
+  const preferred = (navigator.languages || [navigator.language || DEFAULT_LOCALE]).map(tag => tag.slice(0, 2).toLowerCase());
+  return preferred.find(code => LOCALES[code]) || DEFAULT_LOCALE;
+};
+
+// Designers tune trust here. Every matching rule contributes its delta once per exchange.
+// Like lore `mentions`, each pattern lists the phrasing of every locale, English first and then Spanish.
+const TRUST_RULES = {
+  user: [
+    {
+      id: 'kindness',
+      pattern: /\b(sorry|apologi[sz]e|forgive|comfort|help you|thank|lo siento|perd[oó]n|disculp|consol|ayudarte|gracias)/i,
+      delta: 5,
+      reason: 'You spoke with kindness'
+    },
+    {
+      id: 'curiosity',
+      pattern: /\b(who were you|what happened|your (life|husband|family|story|death)|qui[eé]n eras|qu[eé] (te )?pas[oó]|tu (vida|marido|esposo|familia|historia|muerte))/i,
+      delta: 2,
+      reason: 'You asked about their past'
+    },
+    {
+      id: 'rudeness',
+      pattern: /\b(shut up|stupid|ugly|hate you|idiot|liar|go away|boring|c[aá]llate|est[uú]pid[oa]|fe[oa]|te odio|idiota|mentiros[oa]|vete|aburrid[oa])\b/i,
+      delta: -8,
+      reason: 'You were cruel'
+    },
+    {
+      id: 'mockery',
+      pattern: /\b(lol|lmao|haha|not real|fake ghost|ja(ja)+|no eres real|fantasma falso)\b/i,
+      delta: -4,
+      reason: 'You mocked the spirit'
+    }
+  ],
+  ghost: [
+    {
+      id: 'warmth',
+      pattern: /\b(dear|kind|gentle|friend|grateful|trust you|querid[oa]|amable|dulce|amig[oa]|agradecid[oa]|conf[ií]o en ti)/i,
+      delta: 2,
+      reason: 'The spirit softened'
+    },
+    {
+      id: 'coldness',
+      pattern: /\b(begone|leave me|how dare|get out|intruder|m[aá]rchate|d[eé]jame|c[oó]mo te atreves|fuera de aqu[ií]|intrus[oa])/i,
+      delta: -2,
+      reason: 'The spirit withdrew'
+    }
+  ],
+  repetition: { window: 3, delta: -3, reason: 'You repeated yourself' },
+  decay: { above: 50, delta: -1, reason: 'Trust fades without care' },
+  sentimentWeight: 5,
+  maxDeltaPerTurn: 15
+};
+
+// Letters and digits in any script count; punctuation and emoji do not
+const normalizeUtterance = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Pure and deterministic: the same exchange and rules always produce the same score.
+const scoreExchange = ({ userMessage, ghostMessage = '', previousUserMessages = [], trust = 0, signals = {} },
+  rules = TRUST_RULES) => {
+  const reasons = [];
+  rules.user.filter(rule => rule.pattern.test(userMessage))
+    .forEach(({ id, delta, reason }) => reasons.push({ id, delta, reason }));
+  rules.ghost.filter(rule => rule.pattern.test(ghostMessage))
+    .forEach(({ id, delta, reason }) => reasons.push({ id, delta, reason }));
+
+  const recent = previousUserMessages.slice(-rules.repetition.window).map(normalizeUtterance);
+  const utterance = normalizeUtterance(userMessage);
+  if (utterance && recent.includes(utterance)) {
+    reasons.push({ id: 'repetition', delta: rules.repetition.delta, reason: rules.repetition.reason });
+  }
+
+  if (typeof signals.trustDelta === 'number' && signals.trustDelta !== 0) {
+    const delta = Math.round(Math.max(-rules.maxDeltaPerTurn, Math.min(rules.maxDeltaPerTurn, signals.trustDelta)));
+    reasons.push({ id: 'ghost', delta, reason: delta > 0 ? 'The spirit chose to trust you' : 'The spirit chose to doubt you' });
+  }
+
+  if (typeof signals.sentiment === 'number') {
+    const delta = Math.round(Math.max(-1, Math.min(1, signals.sentiment)) * rules.sentimentWeight);
+    if (delta !== 0) {
+      reasons.push({ id: 'sentiment', delta, reason: delta > 0 ? 'Your sincerity was felt' : 'Your hostility was felt' });
+    }
+  }
+
+  if (!reasons.some(({ delta }) => delta > 0) && trust > rules.decay.above) {
+    reasons.push({ id: 'decay', delta: rules.decay.delta, reason: rules.decay.reason });
+  }
+
+  const total = reasons.reduce((sum, { delta }) => sum + delta, 0);
+  return {
+    delta: Math.max(-rules.maxDeltaPerTurn, Math.min(rules.maxDeltaPerTurn, total)),
+    reasons
+  };
+};
+
+const GHOST_EVENT_TYPES = ['unlock_room', 'set_flag', 'give_item', 'flicker_lights'];
+
+// Accepts the plain { message: 'text' } reply as well as the structured envelope, either at the top
+// level or nested under `message`: { text, emotion, trustDelta, sentiment, suggestedActions, events, memories }.
+const parseGhostReply = (data) => {
+  if (typeof data === 'string') return parseGhostReply({ message: data });
+  const payload = data || {};
+  const envelope = payload.message && typeof payload.message === 'object' ? payload.message : payload;
+  const text = [envelope.text, envelope.message, payload.message].find(value => typeof value === 'string');
+  return {
+    text: text || '',
+    emotion: typeof envelope.emotion === 'string' ? envelope.emotion.toLowerCase() : null,
+    trustDelta: typeof envelope.trustDelta === 'number' ? envelope.trustDelta : null,
+    sentiment: typeof envelope.sentiment === 'number' ? envelope.sentiment : null,
+    suggestedActions: Array.isArray(envelope.suggestedActions)
+      ? envelope.suggestedActions.filter(action => typeof action === 'string' && action.trim()).slice(0, 4)
+      : [],
+    events: Array.isArray(envelope.events)
+      ? envelope.events.filter(event => event && GHOST_EVENT_TYPES.includes(event.type))
+      : [],
+    memories: Array.isArray(envelope.memories)
+      ? envelope.memories.filter(memory => typeof memory === 'string' && memory.trim()).map(memory => memory.trim())
+      : []
+  };
+};
+
+// Streams arrive either as server-sent events or as a plain chunked text body. SSE `data:` payloads may be
+// raw text, a { token } / { delta } fragment, or the final reply envelope (sent with `event: done`).
+const readGhostStream = async (response, onToken) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+  let buffer = '';
+  let finalReply = null;
+
+  const readBlock = (block) => {
+    const lines = block.split(/\r?\n/);
+    const eventLine = lines.find(line => line.startsWith('event:'));
+    const eventName = eventLine ? eventLine.slice(6).trim() : 'message';
+    const data = lines.filter(line => line.startsWith('data:')).map(line => line.slice(5).replace(/^ /, '')).join('\n');
+    if (!data || data === '[DONE]') return;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      parsed = null;
+    }
+    if (eventName === 'done' && parsed) {
+      finalReply = parsed;
+    } else if (parsed && typeof (parsed.token ?? parsed.delta) === 'string') {
+      onToken(parsed.token ?? parsed.delta);
+    } else if (!parsed || typeof parsed !== 'object') {
+      onToken(data);
+    }
+  };
+
+  let chunk = await reader.read();
+  while (!chunk.done) {
+    const text = decoder.decode(chunk.value, { stream: true });
+    if (!isEventStream) {
+      onToken(text);
+    } else {
+      buffer += text;
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(readBlock);
+    }
+    chunk = await reader.read();
+  }
+  // A stream may close without a blank line after its last block, which is often the `done` envelope
+  const rest = decoder.decode();
+  if (!isEventStream) {
+    if (rest) onToken(rest);
+  } else if ((buffer + rest).trim()) {
+    readBlock(buffer + rest);
+  }
+  return finalReply;
+};
+
+const createMessageId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const COMMAND_VERBS = {
+  go: ['go to', 'go', 'walk to', 'walk', 'move to', 'move', 'head to', 'travel to', 'enter'],
+  look: ['look around', 'look', 'l'],
+  examine: ['examine', 'inspect', 'look at', 'search', 'x'],
+  address: ['talk to', 'speak to', 'address'],
+  inventory: ['inventory', 'inv', 'i'],
+  take: ['pick up', 'take', 'grab', 'get'],
+  give: ['give', 'offer'],
+  show: ['show'],
+  leave: ['leave the mansion', 'leave', 'flee', 'escape'],
+  undo: ['undo', 'rewind'],
+  help: ['help', 'commands', '?']
+};
+
+// Longest aliases first, so "look at" is tried before "look"
+const COMMAND_ALIASES = Object.entries(COMMAND_VERBS)
+  .flatMap(([verb, aliases]) => aliases.map(alias => [alias, verb]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+// These only count as commands when typed alone: "help me" and "i miss you" are speech
+const STANDALONE_VERBS = ['look', 'inventory', 'leave', 'undo', 'help'];
+
+const parseCommand = (text) => {
+  const normalized = text.toLowerCase().trim().replace(/[.!]+$/, '');
+  for (const [alias, verb] of COMMAND_ALIASES) {
+    if (normalized === alias) return { verb, target: '' };
+    if (normalized.startsWith(`${alias} `)) {
+      if (STANDALONE_VERBS.includes(verb)) return null;
+      return { verb, target: normalized.slice(alias.length).trim().replace(/^(the|a|an|to|at)\s+/, '') };
+    }
+  }
+  return null;
+};
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+// Exact names win, then a shared word, then the closest spelling within a typo or two.
+const findBestMatch = (target, candidates) => {
+  if (!target) return null;
+  const targetWords = target.split(/\s+/);
+  const matches = candidates.map(({ id, names }) => {
+    const lowered = names.map(name => name.toLowerCase().replace(/_/g, ' '));
+    if (lowered.includes(target)) return { id, score: 0 };
+    const words = lowered.flatMap(name => name.split(/\s+/)).filter(word => word.length > 2 && word !== 'the');
+    if (targetWords.some(word => words.includes(word))) return { id, score: 1 };
+    const distance = Math.min(...[...lowered, ...words].map(name => editDistance(target, name)));
+    return { id, score: distance <= Math.max(1, Math.floor(target.length / 4)) ? 1 + distance : Infinity };
+  }).filter(({ score }) => score !== Infinity).sort((a, b) => a.score - b.score);
+  return matches.length > 0 ? matches[0].id : null;
+};
+
+// What an examine command points at: a feature of the room first, then an item lying there or carried
+const findExamineTarget = (target, roomId, itemIds, t) => {
+  const features = Object.entries(ROOMS[roomId].features || {})
+    .map(([id, feature]) => ({ id, names: [id, ...(feature.aliases || [])] }));
+  const featureId = findBestMatch(target, features);
+  if (featureId) return { featureId };
+  const itemId = findBestMatch(target, itemIds.map(id => ({ id, names: [id, ITEMS[id].name, t(`item.${id}.name`)] })));
+  return itemId ? { itemId } : null;
+};
+
+// public/config.js can override these after a build; REACT_APP_* variables apply at build time
+const RUNTIME_CONFIG = window.ECHOES_CONFIG || {};
+
+const API_CONFIG = {
+  DEMO_SERVER: RUNTIME_CONFIG.apiUrl || process.env.REACT_APP_API_URL || 'https://echoes-estate-backend.onrender.com',
+  MOCK_BACKEND: RUNTIME_CONFIG.mockBackend === true
+    || process.env.REACT_APP_MOCK_BACKEND === 'true'
+    || process.env.NODE_ENV === 'test'
+    || new URLSearchParams(window.location.search).has('mock')
+};
+
+// The séance relay from server/relay.js; by default it runs beside the development server
+const SEANCE_CONFIG = {
+  URL: RUNTIME_CONFIG.relayUrl || process.env.REACT_APP_RELAY_URL || `ws://${window.location.hostname || 'localhost'}:8787`,
+  CODE_LENGTH: 4,
+  // No 0/O or 1/I, so a code read out loud is typed correctly
+  CODE_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+  MAX_NAME_LENGTH: 24,
+  // The relay drops larger messages (MAX_MESSAGE_BYTES in server/relay.js)
+  MAX_MESSAGE_BYTES: 1024 * 1024
+};
+
+const createSeanceCode = () => Array.from({ length: SEANCE_CONFIG.CODE_LENGTH },
+  () => SEANCE_CONFIG.CODE_ALPHABET[Math.floor(Math.random() * SEANCE_CONFIG.CODE_ALPHABET.length)]).join('');
+
+// Scripted lines for the offline mock backend, picked in turn per spirit and room so replies are repeatable
+const MOCK_REPLIES = {
+  eleanor: {
+    default: [
+      'You walk where I once walked... the floorboards still remember my steps, even if no one else does.',
+      'It has been so long since anyone spoke to me kindly. Forgive me if I have forgotten how to answer.',
+      'Listen. Do you hear it? The house breathes when the storm comes.'
+    ],
+    entrance: [
+      'Welcome, stranger, to what remains of Ashford Hall. Mind the stair; it does not care for visitors.',
+      'The storm came on the night I died as well. Thunder and rain, and his footsteps on the stair.'
+    ],
+    library: [
+      'He read to me here, in the beginning. Poetry, always poetry. Later he only read his medical books.',
+      'Somewhere on these shelves I pressed a rose between two pages. I never found it again.'
+    ],
+    dining: [
+      'Twelve places, every evening. Hollis still sets them, poor faithful soul. No one has ever come.',
+      'We held such suppers once. I was the last to leave this table.'
+    ],
+    garden: [
+      'My roses... they were the only thing in this house that grew.',
+      'I lost something here, in the last autumn. A locket, with his portrait inside.'
+    ],
+    study: [
+      'My journals. Read them if you must; I no longer have secrets worth keeping from the living.',
+      'That portrait was painted the year I married. Look at her eyes. She already knew.'
+    ],
+    gallery: [
+      'You climbed the stair. Few have dared. The portraits do not approve of you, but I do.',
+      'He turned them all to the wall after I died, all but his own. Vanity, even in grief.'
+    ],
+    bedroom: [
+      'This was my room. I lay here through that whole winter, listening to him promise I would recover.',
+      'Sit a while. It is the first time in a century anyone has kept me company here.'
+    ]
   },
-  library: {
-    id: 'library',
-    name: 'Forbidden Library',
-    description: 'Ancient tomes line towering shelves, their leather bindings cracked with age. The air smells of decay and old secrets.',
-    connections: ['entrance', 'study'],
-    music: '/music/the-chamber.mp3',
-    background: 'https://i.imgur.com/JWWK66y.png'
+  hollis: {
+    default: [
+      'Good evening. The family is not receiving guests at present, I\'m afraid.',
+      'One does one\'s duty, sir or madam, whatever the century.'
+    ],
+    dining: [
+      'Twelve covers, as always. The Master was very particular about the silver.',
+      'Dinner will be served at eight. It has been served at eight for one hundred and twenty years.'
+    ],
+    kitchen: [
+      'Kindly mind the floor near the pantry. It was never quite clean again after that night.',
+      'Cook kept the pantry key. She left in a great hurry, and the key stayed behind.'
+    ]
   },
-  dining: {
-    id: 'dining',
-    name: 'Cursed Dining Room',
-    description: 'A long table set for twelve ghostly guests. Cobwebs drape the corners like funeral shrouds.',
-    connections: ['entrance', 'kitchen'],
-    music: '/music/ghostpocalypse.mp3',
-    background: 'https://i.imgur.com/HcVTV7i.png'
+  pip: {
+    default: [
+      'Hide and seek! You\'re it! No peeking, no peeking...',
+      'The lady cries in the roses sometimes. I give her flowers but she doesn\'t see them.',
+      'Splash, splash, the fountain\'s deep. Down I went and fell asleep.'
+    ]
+  }
+};
+
+// Keyword reactions layer an emotion, trust change or event over the scripted line, in either locale
+const MOCK_REACTIONS = [
+  { pattern: /sorry|forgive|comfort|thank|lo siento|perd[oó]n|consuel|gracias/i, emotion: 'touched', trustDelta: 3 },
+  {
+    pattern: /shut up|stupid|hate|liar|idiot|c[aá]llate|est[uú]pid|odio|mentiros/i,
+    emotion: 'wrathful',
+    trustDelta: -5,
+    events: [{ type: 'flicker_lights' }]
   },
-  garden: {
-    id: 'garden',
-    name: 'Dead Garden',
-    description: 'Withered roses choke the overgrown paths. The moon casts twisted shadows through gnarled trees.',
-    connections: ['entrance'],
-    music: '/music/dreamy-flashback.mp3',
-    background: 'https://i.imgur.com/R77iGFG.png'
+  { pattern: /show yourself|appear|are you there|mu[eé]strate|aparece|est[aá]s ah[ií]/i, emotion: 'restless', events: [{ type: 'flicker_lights' }] },
+  { pattern: /locket|rose|portrait|guardapelo|rosa|retrato/i, emotion: 'wistful' }
+];
+
+const MOCK_SUGGESTIONS = ['Who were you?', 'What happened here?', 'How can I help you rest?'];
+
+const NETWORK_CONFIG = {
+  TIMEOUT: 20000,
+  RETRIES: 2,
+  BACKOFF: 1000,
+  // Answers worth another attempt; any other status is the server's final word
+  TRANSIENT_STATUSES: [408, 425, 429, 500, 502, 503, 504],
+  HEALTH_TIMEOUT: 10000,
+  HEALTH_INTERVAL: 60000,
+  WAKING_INTERVAL: 5000,
+  // Failed health checks within this window are treated as the hosted server cold-starting
+  WAKE_WINDOW: 120000,
+  SLOW_RESPONSE: 2500
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timeout = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timeout);
+      reject(new DOMException('The séance was interrupted', 'AbortError'));
+    }, { once: true });
+  }
+});
+
+const mockJson = (data, status = 200) => new Response(JSON.stringify(data), {
+  status, headers: { 'Content-Type': 'application/json' }
+});
+
+const buildMockReply = ({ messages = [], room, spirit = DEFAULT_SPIRIT }) => {
+  const userMessages = messages.filter(message => message.role === 'user');
+  const lastMessage = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+  const script = MOCK_REPLIES[spirit] || MOCK_REPLIES[DEFAULT_SPIRIT];
+  const lines = script[room] || script.default;
+  const reaction = MOCK_REACTIONS.find(({ pattern }) => pattern.test(lastMessage)) || {};
+  return {
+    message: {
+      text: lines[(userMessages.length - 1 + lines.length) % lines.length],
+      emotion: reaction.emotion || 'melancholic',
+      ...(reaction.trustDelta ? { trustDelta: reaction.trustDelta } : {}),
+      suggestedActions: MOCK_SUGGESTIONS,
+      events: reaction.events || []
+    }
+  };
+};
+
+const mockStream = (reply, signal) => {
+  const encoder = new TextEncoder();
+  const tokens = reply.message.text.split(/(\s+)/).filter(Boolean);
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        for (const token of tokens) {
+          await sleep(35, signal);
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ token })}\n\n`));
+        }
+        controller.enqueue(encoder.encode(`event: done\ndata: ${JSON.stringify(reply)}\n\n`));
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+  return new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const MOCK_SESSION_SECONDS = 60 * 60;
+
+const isMockPassword = (password) => typeof password === 'string'
+  && password.toLowerCase() === `echoes${new Date().getFullYear()}`;
+
+// Mock tokens carry their own expiry, so they survive a reload just like a real server's would
+const isMockSession = (headers = {}) => {
+  const [, expiresAt] = (headers.Authorization || '').match(/^Bearer mock:(\d+)$/) || [];
+  return (expiresAt && Number(expiresAt) > Date.now()) || isMockPassword(headers['X-Demo-Password']);
+};
+
+// Implements /health, /api/verify, /api/logout and /api/chat in the browser so the game runs without a server
+const mockBackend = async (path, { body, headers, signal } = {}) => {
+  await sleep(300, signal);
+  const payload = body ? JSON.parse(body) : {};
+  if (path === '/health') return mockJson({ status: 'ok', mode: 'mock' });
+  if (path === '/api/verify') {
+    if (!isMockPassword(payload.password)) return mockJson({ error: 'Invalid password' }, 401);
+    const token = `mock:${Date.now() + MOCK_SESSION_SECONDS * 1000}`;
+    return mockJson({ success: true, mode: 'mock', token, expiresIn: MOCK_SESSION_SECONDS });
+  }
+  if (path === '/api/logout') return mockJson({ success: true });
+  if (path === '/api/chat') {
+    if (!isMockSession(headers)) return mockJson({ error: 'Session expired' }, 401);
+    const reply = buildMockReply(payload);
+    return payload.stream && typeof ReadableStream !== 'undefined' ? mockStream(reply, signal) : mockJson(reply);
+  }
+  return mockJson({ error: 'Not found' }, 404);
+};
+
+// Every request gets a timeout, and network errors, timeouts and transient statuses are retried with exponential
+// backoff. Aborting `signal` stops at once with an AbortError; running out of time rejects with a TimeoutError.
+const apiFetch = async (path, { timeout = NETWORK_CONFIG.TIMEOUT, retries = NETWORK_CONFIG.RETRIES, signal, ...options } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal && signal.aborted) abort();
+    else if (signal) signal.addEventListener('abort', abort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    try {
+      const response = API_CONFIG.MOCK_BACKEND
+        ? await mockBackend(path, { ...options, signal: controller.signal })
+        : await fetch(`${API_CONFIG.DEMO_SERVER}${path}`, { ...options, signal: controller.signal });
+      // The caller's signal stays linked so it can still cancel a streamed body
+      if (attempt >= retries || !NETWORK_CONFIG.TRANSIENT_STATUSES.includes(response.status)) return response;
+      // A retried answer is never read, so its body is let go rather than holding the connection open
+      if (response.body) response.body.cancel().catch(() => {});
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      if (attempt >= retries) {
+        throw timedOut ? new DOMException('The spirits took too long to answer', 'TimeoutError') : error;
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+    if (signal) signal.removeEventListener('abort', abort);
+    await sleep(NETWORK_CONFIG.BACKOFF * 2 ** attempt * (0.75 + Math.random() / 2), signal);
+  }
+};
+
+const SESSION_CONFIG = {
+  STORAGE_KEY: 'echoes-estate:session'
+};
+
+// Only tokens are stored, and only for this tab. A server that issues no token gets the password, kept in memory.
+const readSession = () => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(SESSION_CONFIG.STORAGE_KEY));
+    return session && typeof session.token === 'string' ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeSession = (session) => {
+  try {
+    if (session && session.token) sessionStorage.setItem(SESSION_CONFIG.STORAGE_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    console.log('Unable to store session:', error);
+  }
+};
+
+// Accepts { token, expiresAt } (milliseconds or a date string) or { token, expiresIn } (seconds)
+const parseSession = (data, password) => {
+  if (!data || typeof data.token !== 'string') return { password };
+  const expiresAt = typeof data.expiresAt === 'number' ? data.expiresAt
+    : typeof data.expiresAt === 'string' ? Date.parse(data.expiresAt)
+      : typeof data.expiresIn === 'number' ? Date.now() + data.expiresIn * 1000 : null;
+  return { token: data.token, expiresAt: Number.isNaN(expiresAt) ? null : expiresAt };
+};
+
+const isSessionLive = (session) => Boolean(session) && (!session.expiresAt || session.expiresAt > Date.now());
+
+const sessionHeaders = (session) => session.token
+  ? { Authorization: `Bearer ${session.token}` }
+  : { 'X-Demo-Password': session.password };
+
+const SAVE_CONFIG = {
+  VERSION: 10,
+  STORAGE_PREFIX: 'echoes-estate:save:',
+  AUTOSAVE_SLOT: 'autosave',
+  SLOTS: ['slot-1', 'slot-2', 'slot-3']
+};
+
+// Keyed by the version a save is migrated *from*; each step returns the next version's shape.
+const SAVE_MIGRATIONS = {
+  1: save => ({ ...save, state: { ...save.state, inventory: [], givenItems: [] } }),
+  2: save => ({ ...save, state: { ...save.state, storyFlags: {} } }),
+  3: save => ({
+    ...save,
+    state: {
+      ...save.state,
+      trustHistory: save.state.ghostTrust > 0 ? [{
+        turn: 1, delta: save.state.ghostTrust, trust: save.state.ghostTrust, timestamp: save.savedAt,
+        reasons: [{ id: 'legacy', delta: save.state.ghostTrust, reason: 'Trust carried over from an older save' }]
+      }] : []
+    }
+  }),
+  4: save => ({
+    ...save,
+    state: {
+      ...save.state,
+      conversationHistory: save.state.conversationHistory.map((message, index) => ({ id: `legacy-${index}`, ...message }))
+    }
+  }),
+  5: save => ({
+    ...save,
+    state: {
+      ...save.state,
+      activeSpirit: 'eleanor',
+      conversationHistory: save.state.conversationHistory
+        .map(message => message.role === 'system' ? message : { spirit: 'eleanor', ...message }),
+      trustHistory: save.state.trustHistory.map(entry => ({ spirit: 'eleanor', ...entry }))
+    }
+  }),
+  6: save => ({
+    ...save,
+    state: { ...save.state, roomVisits: { [save.state.currentRoom]: { count: 1, firstVisitedAt: save.savedAt } } }
+  }),
+  // Older saves restart at the first chapter and catch up as soon as they are loaded
+  7: save => ({ ...save, state: { ...save.state, chapter: STORY.chapters[0].id, ending: null } }),
+  // Sound settings moved to their own preferences and no longer travel with a save
+  8: save => {
+    const { isMusicMuted, musicVolume, ...state } = save.state;
+    return { ...save, state };
   },
-  study: {
-    id: 'study',
-    name: 'Eleanor\'s Study',
-    description: 'Personal journals lie scattered. A portrait watches with eyes that seem to follow you.',
-    connections: ['library'],
-    music: '/music/atlantean-twilight.mp3',
-    background: 'https://i.imgur.com/ljUWOqY.png'
+  // The journal fills in with every visit and flag as soon as the save is loaded
+  9: save => ({ ...save, state: { ...save.state, journal: {} } })
+};
+
+const migrateSave = (save) => {
+  let migrated = save;
+  while (migrated.version < SAVE_CONFIG.VERSION) {
+    const migrate = SAVE_MIGRATIONS[migrated.version];
+    if (!migrate) return null;
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+};
+
+const readSave = (slotId) => {
+  try {
+    const raw = localStorage.getItem(`${SAVE_CONFIG.STORAGE_PREFIX}${slotId}`);
+    if (!raw) return null;
+    const save = JSON.parse(raw);
+    if (typeof save.version !== 'number' || save.version > SAVE_CONFIG.VERSION) return null;
+    return migrateSave(save);
+  } catch (error) {
+    console.log('Unreadable save:', slotId, error);
+    return null;
+  }
+};
+
+const writeSave = (slotId, name, state) => {
+  const save = { version: SAVE_CONFIG.VERSION, slot: slotId, name, savedAt: Date.now(), state };
+  try {
+    localStorage.setItem(`${SAVE_CONFIG.STORAGE_PREFIX}${slotId}`, JSON.stringify(save));
+    return save;
+  } catch (error) {
+    console.log('Unable to save game:', error);
+    return null;
+  }
+};
+
+const deleteSave = (slotId) => {
+  try {
+    localStorage.removeItem(`${SAVE_CONFIG.STORAGE_PREFIX}${slotId}`);
+  } catch (error) {
+    console.log('Unable to delete save:', error);
+  }
+};
+
+const describeSave = (save, t) => {
+  const { currentRoom, ending, chapter, ghostTrust, inventory } = save.state;
+  const progress = ending && STORY.endings.some(({ id }) => id === ending.id)
+    ? t('saves.ending', { title: t(`ending.${ending.id}.title`) })
+    : t(`story.${STORY.chapters[getChapterIndex(chapter)].id}.title`);
+  return t('saves.summary', {
+    room: ROOMS[currentRoom] ? t(`room.${currentRoom}.name`) : t('saves.unknownRoom'),
+    progress, trust: ghostTrust, items: inventory.length, date: new Date(save.savedAt).toLocaleString()
+  });
+};
+
+const listSaves = () => [SAVE_CONFIG.AUTOSAVE_SLOT, ...SAVE_CONFIG.SLOTS].map(slotId => ({
+  slotId, save: readSave(slotId)
+}));
+
+// Reasons are stored in English; known ones are shown from the catalog and custom rules keep their own text
+const describeTrustReason = (reason, t, spiritName) => {
+  const key = ['ghost', 'sentiment'].includes(reason.id) ? `trust.${reason.id}.${reason.delta > 0 ? 'up' : 'down'}` : `trust.${reason.id}`;
+  if (!(key in LOCALES[DEFAULT_LOCALE].strings)) return reason.reason;
+  return t(key, { spirit: spiritName, item: reason.item ? t(`item.${reason.item}.name`) : '' });
+};
+
+const TRANSCRIPT_CONFIG = {
+  FORMAT: 'echoes-of-the-estate/transcript',
+  VERSION: 1,
+  REPLAY_DELAY: 1200
+};
+
+// Messages from other players in a séance carry their name; selfId marks this player's own as "You"
+const messageSpeaker = (message, t, selfId = null) => {
+  if (message.role === 'assistant') return SPIRITS[message.spirit || DEFAULT_SPIRIT].name;
+  if (message.role !== 'user') return t('chat.system');
+  if (message.author && message.author.id !== selfId) {
+    return message.spirit ? t('chat.playerTo', { player: message.author.name, spirit: SPIRITS[message.spirit].name }) : message.author.name;
+  }
+  return message.spirit ? t('chat.youTo', { spirit: SPIRITS[message.spirit].name }) : t('chat.you');
+};
+
+// A transcript is self-contained: speaker labels, room names and trust reasons are resolved at export time
+const buildTranscript = ({ conversationHistory, trustHistory, t, locale }) => {
+  let room = null;
+  return {
+    format: TRANSCRIPT_CONFIG.FORMAT,
+    version: TRANSCRIPT_CONFIG.VERSION,
+    exportedAt: Date.now(),
+    locale,
+    messages: conversationHistory.filter(message => message.content).map(message => {
+      room = message.room || room;
+      return {
+        role: message.role,
+        ...(message.spirit ? { spirit: message.spirit } : {}),
+        ...(room ? { room, roomName: t(`room.${room}.name`) } : {}),
+        speaker: messageSpeaker(message, t),
+        content: message.content,
+        ...(message.interrupted ? { interrupted: true } : {}),
+        timestamp: message.timestamp
+      };
+    }),
+    trust: trustHistory.map(({ spirit = DEFAULT_SPIRIT, trust, delta, reasons, timestamp }) => ({
+      spirit,
+      spiritName: SPIRITS[spirit].name,
+      trust,
+      delta,
+      reasons: reasons.map(reason => describeTrustReason(reason, t, SPIRITS[spirit].name)),
+      timestamp
+    }))
+  };
+};
+
+// Messages and trust changes in the order they happened, with a marker wherever the room changes
+const transcriptTimeline = (transcript) => {
+  const entries = [
+    ...transcript.messages.map(message => ({ type: 'message', ...message })),
+    ...transcript.trust.filter(({ delta }) => delta !== 0).map(change => ({ type: 'trust', ...change }))
+  ].sort((a, b) => a.timestamp - b.timestamp);
+  let room = null;
+  return entries.flatMap(entry => {
+    if (entry.type !== 'message' || !entry.room || entry.room === room) return [entry];
+    room = entry.room;
+    return [{ type: 'room', roomName: entry.roomName }, entry];
+  });
+};
+
+const formatTrustChange = (change, t) => `${t('transcript.trustChange', {
+  spirit: change.spiritName, trust: change.trust, delta: change.delta > 0 ? `+${change.delta}` : change.delta
+})}${change.reasons.length > 0 ? ` · ${change.reasons.join('; ')}` : ''}`;
+
+const transcriptToMarkdown = (transcript, t) => [
+  `# ${t('transcript.documentTitle', { date: new Date(transcript.messages[0].timestamp).toLocaleDateString() })}`,
+  '',
+  `_${t('transcript.exportedAt', { date: new Date(transcript.exportedAt).toLocaleString() })}_`,
+  '',
+  ...transcriptTimeline(transcript).map(entry => {
+    if (entry.type === 'room') return `## ${entry.roomName}\n`;
+    if (entry.type === 'trust') return `> ${formatTrustChange(entry, t)}\n`;
+    const time = new Date(entry.timestamp).toLocaleTimeString();
+    return `**${entry.speaker}** · ${time}  \n${entry.content}${entry.interrupted ? '…' : ''}\n`;
+  })
+].join('\n');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const transcriptToHtml = (transcript, t) => {
+  const title = t('transcript.documentTitle', { date: new Date(transcript.messages[0].timestamp).toLocaleDateString() });
+  const body = transcriptTimeline(transcript).map(entry => {
+    if (entry.type === 'room') return `<h2>${escapeHtml(entry.roomName)}</h2>`;
+    if (entry.type === 'trust') return `<p class="trust">${escapeHtml(formatTrustChange(entry, t))}</p>`;
+    const color = entry.role === 'user' ? '#ff6b35' : entry.role === 'assistant' ? SPIRITS[entry.spirit || DEFAULT_SPIRIT].color : '#ffd700';
+    return `<div class="message ${entry.role}" style="border-left-color: ${color}">
+  <div class="meta">${escapeHtml(entry.speaker)} · <time datetime="${new Date(entry.timestamp).toISOString()}">${escapeHtml(new Date(entry.timestamp).toLocaleTimeString())}</time></div>
+  <div>${escapeHtml(entry.content)}${entry.interrupted ? '…' : ''}</div>
+</div>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(transcript.locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 32px 16px; background: #0d0221; color: #e0d4f7; font-family: 'Special Elite', Georgia, serif; }
+  main { max-width: 760px; margin: 0 auto; }
+  h1 { color: #ff6b35; letter-spacing: 2px; }
+  h2 { color: #ffd700; font-size: 18px; margin-top: 32px; border-bottom: 1px solid rgba(255,107,53,0.3); padding-bottom: 6px; }
+  .exported { color: #9d7cc1; font-size: 13px; }
+  .message { margin: 12px 0; padding: 12px 14px; border-radius: 10px; border-left: 4px solid; background: rgba(26,11,46,0.9); }
+  .message.user { background: rgba(45,27,61,0.9); }
+  .message.system { background: rgba(139,0,139,0.35); }
+  .meta { font-size: 11px; color: #9d7cc1; margin-bottom: 6px; }
+  .trust { font-size: 12px; color: #9d7cc1; font-style: italic; margin: 4px 0 4px 18px; }
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="exported">${escapeHtml(t('transcript.exportedAt', { date: new Date(transcript.exportedAt).toLocaleString() }))}</p>
+${body}
+</main>
+</body>
+</html>
+`;
+};
+
+// Throws with a catalog key when the file is not a transcript this mansion can show
+const parseTranscript = (text) => {
+  let transcript;
+  try {
+    transcript = JSON.parse(text);
+  } catch (error) {
+    throw new Error('transcript.invalid');
+  }
+  if (!transcript || transcript.format !== TRANSCRIPT_CONFIG.FORMAT || typeof transcript.version !== 'number'
+    || transcript.version > TRANSCRIPT_CONFIG.VERSION || !Array.isArray(transcript.messages) || !Array.isArray(transcript.trust)) {
+    throw new Error('transcript.invalid');
+  }
+  const validMessage = message => message && ['user', 'assistant', 'system'].includes(message.role)
+    && typeof message.content === 'string' && typeof message.speaker === 'string' && typeof message.timestamp === 'number';
+  if (transcript.messages.length === 0 || !transcript.messages.every(validMessage)) throw new Error('transcript.invalid');
+  if (transcript.messages.some(({ spirit }) => spirit && !SPIRITS[spirit])) throw new Error('transcript.unknownSpirit');
+  return transcript;
+};
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const MEMORY_CONFIG = {
+  // Messages sent word for word; anything older only reaches the spirit through its memories
+  RECENT_MESSAGES: 10,
+  SUMMARY_SIZE: 6,
+  EXCERPT_LENGTH: 90,
+  // Characters of remembered facts and summaries added to each request
+  BUDGET: Number(RUNTIME_CONFIG.memoryBudget || process.env.REACT_APP_MEMORY_BUDGET) || 1200
+};
+
+// Facts the visitor states outright; a spirit can note its own through `memories` in a reply.
+// Like the trust rules, each pattern lists English phrasing and then Spanish.
+const MEMORY_PATTERNS = [
+  {
+    kind: 'name',
+    pattern: /\b(?:my name is|call me|i am called|i'm called|me llamo|mi nombre es|ll[aá]mame)\s+(\p{L}[\p{L}\p{N}'-]*)/iu
   },
-  kitchen: {
-    id: 'kitchen',
-    name: 'Abandoned Kitchen',
-    description: 'Rusted pots hang above a cold stove. Something dark stains the floor near the pantry.',
-    connections: ['dining'],
-    music: '/music/decay.mp3',
-    background: 'https://i.imgur.com/ow5F0My.png'
+  { kind: 'promise', pattern: /\b(?:i (?:promise|swear|vow|will never)|(?:te lo )?prometo|te lo juro|juro que)\b[^.!?]*/iu },
+  {
+    kind: 'secret',
+    pattern: /\b(?:i confess|i've never told|i have never told|my secret|the truth is|confieso|nunca se lo he contado|mi secreto|la verdad es que)\b[^.!?]*/iu
   }
+];
+
+const excerpt = (text) => {
+  const sentence = text.trim().match(/^[^.!?]*[.!?]?/)[0];
+  return sentence.length > MEMORY_CONFIG.EXCERPT_LENGTH
+    ? `${sentence.slice(0, MEMORY_CONFIG.EXCERPT_LENGTH - 1).trimEnd()}…`
+    : sentence;
 };
 
-const API_CONFIG = {
-  DEMO_SERVER: 'https://echoes-estate-backend.onrender.com'
+const describeFact = ({ kind, value }) => ({
+  name: `The visitor's name is ${value}.`,
+  promise: `The visitor promised: "${value}"`,
+  secret: `The visitor confided: "${value}"`
+}[kind] || (/[.!?]$/.test(value) ? value : `${value}.`));
+
+const describeSummary = ({ room, lines }, spiritName) => `${ROOMS[room] ? ROOMS[room].name : 'Earlier'}: ${lines
+  .map(({ role, text }) => `${role === 'user' ? 'the visitor' : spiritName} said "${text}"`).join('; ')}.`;
+
+// Builds what a spirit remembers from its own history: facts from every message, and summaries of the exchanges
+// that have scrolled out of the recent window. Facts outrank summaries and newer outranks older; anything that
+// does not fit the budget is marked `sent: false` and left out of the prompt.
+const buildSpiritMemory = (history, spiritName, budget = MEMORY_CONFIG.BUDGET) => {
+  const found = history.flatMap(message => {
+    const { room = null, timestamp } = message;
+    if (message.role !== 'user') return (message.memories || []).map(value => ({ kind: 'noted', value, room, timestamp }));
+    return MEMORY_PATTERNS.map(({ kind, pattern }) => {
+      const match = message.content.match(pattern);
+      return match && { kind, value: kind === 'name' ? match[1] : excerpt(match[0]), room, timestamp };
+    }).filter(Boolean);
+  });
+  // Only the latest name counts, and a fact repeated later is kept where it was last said
+  const seen = new Set();
+  const facts = found.reverse().filter(({ kind, value }) => {
+    const key = kind === 'name' ? kind : `${kind}:${value.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).reverse();
+
+  const summaries = [];
+  history.slice(0, Math.max(0, history.length - MEMORY_CONFIG.RECENT_MESSAGES)).forEach(({ role, content, room = null, timestamp }) => {
+    const last = summaries[summaries.length - 1];
+    const line = { role, text: excerpt(content) };
+    if (last && last.room === room && last.lines.length < MEMORY_CONFIG.SUMMARY_SIZE) last.lines.push(line);
+    else summaries.push({ room, timestamp, lines: [line] });
+  });
+
+  let remaining = budget;
+  const fits = (text) => {
+    if (text.length > remaining) return false;
+    remaining -= text.length;
+    return true;
+  };
+  const sentFacts = new Set([...facts]
+    .sort((a, b) => (b.kind === 'name') - (a.kind === 'name') || b.timestamp - a.timestamp)
+    .filter(fact => fits(describeFact(fact))));
+  const sentSummaries = new Set([...summaries].reverse().filter(summary => fits(describeSummary(summary, spiritName))));
+  return {
+    facts: facts.map(fact => ({ ...fact, sent: sentFacts.has(fact) })),
+    summaries: summaries.map(summary => ({ ...summary, sent: sentSummaries.has(summary) }))
+  };
+};
+
+const memoryPrompt = ({ facts, summaries }, spiritName) => {
+  const remembered = facts.filter(({ sent }) => sent).map(describeFact);
+  const earlier = summaries.filter(({ sent }) => sent).map(summary => describeSummary(summary, spiritName));
+  return [
+    remembered.length > 0 ? `You remember: ${remembered.join(' ')}` : '',
+    earlier.length > 0 ? `Earlier conversations: ${earlier.join(' ')}` : ''
+  ].filter(Boolean).join(' ');
 };
 
+const AUDIO_CONFIG = {
+  PREFS_KEY: 'echoes-estate:audio',
+  FADE_SECONDS: 1.5,
+  // Share of the music volume left while a spirit speaks
+  DUCK_LEVEL: 0.3,
+  DUCK_SECONDS: 0.4,
+  DEFAULT_PREFS: { muted: false, voices: false, volumes: { music: 0.3, ambience: 0.4, sfx: 0.6 } }
+};
+
+// Filtered noise beds, selected per room with "ambience" in the manifest
+const AMBIENCE_PRESETS = {
+  rain: { filter: 'highpass', frequency: 900, Q: 0.5, gain: 0.35 },
+  wind: { filter: 'bandpass', frequency: 400, Q: 0.7, gain: 0.5, sweep: 250 },
+  rumble: { filter: 'lowpass', frequency: 220, Q: 0.5, gain: 0.6 },
+  hush: { filter: 'bandpass', frequency: 1200, Q: 4, gain: 0.08 }
+};
+
+const readAudioPrefs = () => {
+  try {
+    const prefs = JSON.parse(localStorage.getItem(AUDIO_CONFIG.PREFS_KEY)) || {};
+    return {
+      ...AUDIO_CONFIG.DEFAULT_PREFS,
+      ...prefs,
+      volumes: { ...AUDIO_CONFIG.DEFAULT_PREFS.volumes, ...prefs.volumes }
+    };
+  } catch (error) {
+    return AUDIO_CONFIG.DEFAULT_PREFS;
+  }
+};
+
+const writeAudioPrefs = (prefs) => {
+  try {
+    localStorage.setItem(AUDIO_CONFIG.PREFS_KEY, JSON.stringify(prefs));
+  } catch (error) {
+    console.log('Unable to save audio settings:', error);
+  }
+};
+
+// Music, ambience and sound effects each get a bus under one master gain. Browsers only allow an
+// AudioContext after a user gesture, so nothing is created until unlock(); requests made before then
+// are remembered and started on unlock.
+const createAudioEngine = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  let context = null;
+  let master = null;
+  let buses = {};
+  let noiseBuffer = null;
+  let layers = { music: null, ambience: null };
+  const wanted = { music: null, ambience: null };
+  let volumes = { ...AUDIO_CONFIG.DEFAULT_PREFS.volumes };
+  let muted = false;
+  let ducked = false;
+
+  const busLevel = (bus) => volumes[bus] * (ducked && bus === 'music' ? AUDIO_CONFIG.DUCK_LEVEL : 1);
+
+  const rampTo = (param, value, seconds = 0.05) => {
+    const now = context.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(value, now + seconds);
+  };
+
+  const fadeOut = (layer) => {
+    if (!layer) return;
+    rampTo(layer.gain.gain, 0, AUDIO_CONFIG.FADE_SECONDS);
+    setTimeout(layer.stop, AUDIO_CONFIG.FADE_SECONDS * 1000 + 100);
+  };
+
+  const fadeIn = (bus, connect, stop) => {
+    const gain = context.createGain();
+    gain.gain.value = 0;
+    gain.connect(buses[bus]);
+    connect(gain);
+    rampTo(gain.gain, 1, AUDIO_CONFIG.FADE_SECONDS);
+    return { gain, stop: () => { stop(); gain.disconnect(); } };
+  };
+
+  const startMusic = (url) => {
+    const element = new Audio(url);
+    element.loop = true;
+    const source = context.createMediaElementSource(element);
+    element.play().catch(error => console.log('Error playing music:', error));
+    return fadeIn('music', gain => source.connect(gain), () => {
+      element.pause();
+      source.disconnect();
+    });
+  };
+
+  const startAmbience = (preset) => {
+    const { filter: type, frequency, Q, gain: level, sweep } = AMBIENCE_PRESETS[preset];
+    const source = context.createBufferSource();
+    source.buffer = noiseBuffer;
+    source.loop = true;
+    const filter = context.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    const bed = context.createGain();
+    bed.gain.value = level;
+    let lfo = null;
+    if (sweep) {
+      lfo = context.createOscillator();
+      const depth = context.createGain();
+      lfo.frequency.value = 0.15;
+      depth.gain.value = sweep;
+      lfo.connect(depth).connect(filter.frequency);
+      lfo.start();
+    }
+    source.connect(filter).connect(bed);
+    source.start();
+    return fadeIn('ambience', gain => bed.connect(gain), () => {
+      source.stop();
+      if (lfo) lfo.stop();
+      bed.disconnect();
+    });
+  };
+
+  const play = (kind, key) => {
+    wanted[kind] = key;
+    if (!context) return;
+    const current = layers[kind];
+    if (current && current.key === key) return;
+    fadeOut(current);
+    layers[kind] = key ? { key, ...(kind === 'music' ? startMusic(key) : startAmbience(key)) } : null;
+  };
+
+  // Short envelopes on oscillators and noise; every sound is synthesized so no files are needed
+  const tone = (frequency, { type = 'sine', start = 0, duration = 0.3, level = 0.3, attack = 0.01, endFrequency }) => {
+    const now = context.currentTime + start;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, now);
+    if (endFrequency) oscillator.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(level, now + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+    oscillator.connect(gain).connect(buses.sfx);
+    oscillator.start(now);
+    oscillator.stop(now + duration + 0.05);
+  };
+
+  const noise = ({ type = 'bandpass', frequency = 1000, Q = 1, start = 0, duration = 0.2, level = 0.3, attack = 0.01 }) => {
+    const now = context.currentTime + start;
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const gain = context.createGain();
+    source.buffer = noiseBuffer;
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(level, now + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+    source.connect(filter).connect(gain).connect(buses.sfx);
+    source.start(now, Math.random());
+    source.stop(now + duration + 0.05);
+  };
+
+  const SFX = {
+    door: () => {
+      tone(90, { endFrequency: 40, duration: 0.6, level: 0.6 });
+      noise({ type: 'lowpass', frequency: 500, duration: 0.15, level: 0.4 });
+    },
+    locked: () => [0, 0.08, 0.16].forEach(start => noise({ frequency: 1800, Q: 3, start, duration: 0.05, level: 0.5 })),
+    pickup: () => {
+      tone(660, { type: 'triangle', duration: 0.12, level: 0.25 });
+      tone(990, { type: 'triangle', start: 0.1, duration: 0.2, level: 0.25 });
+    },
+    warmth: () => [523, 784].forEach(frequency => tone(frequency, { attack: 0.3, duration: 1.5, level: 0.15 })),
+    chill: () => [110, 116].forEach(frequency => tone(frequency, { type: 'sawtooth', attack: 0.2, duration: 1.4, level: 0.08 })),
+    whisper: () => noise({ frequency: 2500, Q: 1, attack: 0.3, duration: 1.2, level: 0.2 }),
+    thunder: () => {
+      noise({ type: 'lowpass', frequency: 180, attack: 0.08, duration: 2.4, level: 0.8 });
+      tone(55, { endFrequency: 30, attack: 0.05, duration: 1.8, level: 0.3 });
+    },
+    discover: () => [587, 740, 880].forEach((frequency, index) => tone(frequency, { type: 'triangle', start: index * 0.12, duration: 0.6, level: 0.15 })),
+    flicker: () => [0, 0.07, 0.2, 0.26, 0.5].forEach(start => noise({ type: 'highpass', frequency: 3000, start, duration: 0.03, level: 0.4 }))
+  };
+
+  return {
+    unlock: () => {
+      if (!AudioContextClass) {
+        console.log('Web Audio is not supported; the mansion will be silent');
+        return;
+      }
+      if (context) {
+        context.resume();
+        return;
+      }
+      context = new AudioContextClass();
+      master = context.createGain();
+      master.gain.value = muted ? 0 : 1;
+      master.connect(context.destination);
+      buses = Object.fromEntries(Object.keys(volumes).map(bus => {
+        const gain = context.createGain();
+        gain.gain.value = busLevel(bus);
+        gain.connect(master);
+        return [bus, gain];
+      }));
+      noiseBuffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+      const samples = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+      play('music', wanted.music);
+      play('ambience', wanted.ambience);
+    },
+    playMusic: url => play('music', url || null),
+    playAmbience: preset => play('ambience', AMBIENCE_PRESETS[preset] ? preset : null),
+    playSfx: (name) => {
+      if (context && context.state === 'running' && SFX[name]) SFX[name]();
+    },
+    setVolume: (bus, volume) => {
+      volumes = { ...volumes, [bus]: volume };
+      if (buses[bus]) rampTo(buses[bus].gain, busLevel(bus));
+    },
+    // Lowers the music under a spoken reply without changing the chosen volume
+    setDucked: (value) => {
+      ducked = value;
+      if (buses.music) rampTo(buses.music.gain, busLevel('music'), AUDIO_CONFIG.DUCK_SECONDS);
+    },
+    setMuted: (value) => {
+      muted = value;
+      if (master) rampTo(master.gain, muted ? 0 : 1);
+    },
+    close: () => {
+      Object.values(layers).forEach(layer => layer && layer.stop());
+      layers = { music: null, ambience: null };
+      if (context) context.close();
+      context = null;
+    }
+  };
+};
+
+const SpeechRecognitionClass = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+// Controls for either half of the Web Speech API are hidden in browsers that lack it
+const SPEECH_SUPPORT = {
+  synthesis: 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function',
+  recognition: Boolean(SpeechRecognitionClass)
+};
+
+const SPEECH_CONFIG = {
+  DEFAULT_VOICE: { rate: 1, pitch: 1, prefer: [] },
+  // Roughly how many characters a voice reads per second at rate 1, which paces the typewriter while it speaks
+  CHARS_PER_SECOND: 14
+};
+
+// The first preferred name found among the voices for the locale, else any voice for it
+const pickVoice = (voices, locale, prefer) => {
+  const local = voices.filter(voice => voice.lang.toLowerCase().startsWith(locale));
+  return prefer
+    .map(name => local.find(voice => voice.name.toLowerCase().includes(name.toLowerCase())))
+    .find(Boolean) || local[0] || null;
+};
+
+const DISPLAY_CONFIG = {
+  PREFS_KEY: 'echoes-estate:display',
+  DEFAULT_PREFS: { highContrast: false, reduceMotion: false, locale: null }
+};
+
+const readDisplayPrefs = () => {
+  try {
+    return { ...DISPLAY_CONFIG.DEFAULT_PREFS, ...JSON.parse(localStorage.getItem(DISPLAY_CONFIG.PREFS_KEY)) };
+  } catch (error) {
+    return DISPLAY_CONFIG.DEFAULT_PREFS;
+  }
+};
+
+const writeDisplayPrefs = (prefs) => {
+  try {
+    localStorage.setItem(DISPLAY_CONFIG.PREFS_KEY, JSON.stringify(prefs));
+  } catch (error) {
+    console.log('Unable to save display settings:', error);
+  }
+};
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+const usePrefersReducedMotion = () => {
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(() =>
+    Boolean(window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches));
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const onChange = (e) => setPrefersReducedMotion(e.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+  return prefersReducedMotion;
+};
+
+// Push-to-talk: start() when the button is pressed and stop() when it is released. Everything heard so far,
+// including words not yet final, is passed to onTranscript as it arrives.
+const useSpeechRecognition = (locale, onTranscript) => {
+  const [listening, setListening] = useState(false);
+  const recognitionRef = useRef(null);
+  const onTranscriptRef = useRef(onTranscript);
+  onTranscriptRef.current = onTranscript;
+
+  useEffect(() => () => {
+    if (recognitionRef.current) recognitionRef.current.abort();
+  }, []);
+
+  const start = () => {
+    if (!SpeechRecognitionClass || recognitionRef.current) return;
+    const recognition = new SpeechRecognitionClass();
+    recognition.lang = locale;
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.onresult = (event) => {
+      onTranscriptRef.current(Array.from(event.results).map(result => result[0].transcript).join('').trim());
+    };
+    recognition.onerror = (event) => console.log('Speech recognition error:', event.error);
+    recognition.onend = () => {
+      recognitionRef.current = null;
+      setListening(false);
+    };
+    recognitionRef.current = recognition;
+    recognition.start();
+    setListening(true);
+  };
+
+  const stop = () => {
+    if (recognitionRef.current) recognitionRef.current.stop();
+  };
+
+  return { listening, start, stop };
+};
+
+// The panels are styled inline, so contrast overrides need !important to win
+const HIGH_CONTRAST_CSS = `
+  .high-contrast .game-header, .high-contrast .chapter-panel, .high-contrast .room-panel,
+  .high-contrast .trust-panel, .high-contrast .inventory-panel, .high-contrast .chat-box,
+  .high-contrast .chat-message, .high-contrast .map-panel, .high-contrast .save-panel {
+    background: #000 !important;
+    border-color: #fff !important;
+    backdrop-filter: none !important;
+  }
+  .high-contrast h1, .high-contrast h2 {
+    color: #ffff00 !important;
+    text-shadow: none !important;
+  }
+  .high-contrast p, .high-contrast span, .high-contrast li, .high-contrast label,
+  .high-contrast .chat-message div, .high-contrast .trust-panel div, .high-contrast .inventory-panel div {
+    color: #fff !important;
+    opacity: 1 !important;
+  }
+  .high-contrast button {
+    background: #000 !important;
+    color: #ffff00 !important;
+    border: 2px solid #ffff00 !important;
+    opacity: 1 !important;
+  }
+  .high-contrast input {
+    background: #000 !important;
+    color: #fff !important;
+    border: 2px solid #fff !important;
+  }
+`;
+
+const FOCUS_CSS = `
+  button:focus-visible, input:focus-visible, a:focus-visible, [tabindex]:focus-visible {
+    outline: 3px solid #ffd700;
+    outline-offset: 2px;
+  }
+  .visually-hidden:not(:focus) {
+    position: absolute !important;
+    width: 1px; height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+  }
+`;
+
+// Lasting effects stay up while their rule holds; the others play once for `duration` milliseconds each time it starts to
+const ATMOSPHERE_EFFECTS = {
+  candle: { lasting: true },
+  mist: { lasting: true },
+  coldSpot: { lasting: true },
+  lightning: { duration: 900, sfx: 'thunder', sfxDelay: 250 },
+  apparition: { duration: 4500 }
+};
+
+const atmosphereHolds = (rule, { roomId, spiritTrust, spiritEmotions }) =>
+  Object.entries(rule.trust || {}).every(([spiritId, minimum]) => spiritTrust[spiritId] >= minimum)
+  && Object.entries(rule.trustBelow || {}).every(([spiritId, limit]) => spiritTrust[spiritId] < limit)
+  && (!rule.emotions || (rule.spirit ? [rule.spirit] : getSpiritsInRoom(roomId).map(({ id }) => id))
+    .some(spiritId => rule.emotions.includes(spiritEmotions[spiritId])));
+
+const ATMOSPHERE_CSS = `
+  .atmosphere-layer > div { position: absolute; inset: 0; }
+  .atmosphere-candle {
+    background: radial-gradient(ellipse at 50% 110%, rgba(255,160,60,0.28), transparent 65%);
+    animation: candle 3s ease-in-out infinite;
+  }
+  .atmosphere-mist {
+    inset: 0 -50% !important;
+    background: radial-gradient(ellipse at 20% 80%, rgba(220,220,255,0.16), transparent 45%),
+      radial-gradient(ellipse at 70% 90%, rgba(220,220,255,0.12), transparent 40%);
+    animation: mist 40s linear infinite alternate;
+  }
+  .atmosphere-coldSpot {
+    background: radial-gradient(ellipse at center, transparent 45%, rgba(110,160,255,0.35) 100%);
+    animation: cold-spot 6s ease-in-out infinite;
+  }
+  .atmosphere-lightning {
+    background: rgba(230,235,255,0.85);
+    animation: lightning 0.9s linear forwards;
+  }
+  .atmosphere-apparition {
+    inset: 15% auto auto var(--apparition-left) !important;
+    width: 160px; height: 420px;
+    background: radial-gradient(ellipse at 50% 25%, rgba(235,230,255,0.7), rgba(200,190,255,0.25) 45%, transparent 70%);
+    filter: blur(12px);
+    animation: apparition 4.5s ease-in-out forwards;
+  }
+  @keyframes candle {
+    0%, 100% { opacity: 1; }
+    30% { opacity: 0.7; }
+    45% { opacity: 0.95; }
+    70% { opacity: 0.6; }
+  }
+  @keyframes mist {
+    from { transform: translateX(-15%); }
+    to { transform: translateX(15%); }
+  }
+  @keyframes cold-spot {
+    0%, 100% { opacity: 0.7; }
+    50% { opacity: 1; }
+  }
+  @keyframes lightning {
+    0% { opacity: 0; }
+    5% { opacity: 0.9; }
+    12% { opacity: 0.1; }
+    18% { opacity: 0.7; }
+    100% { opacity: 0; }
+  }
+  @keyframes apparition {
+    0% { opacity: 0; transform: translateX(0); }
+    40% { opacity: 0.5; }
+    100% { opacity: 0; transform: translateX(40px); }
+  }
+`;
+
 const GameStateProvider = ({ children }) => {
-  const [currentRoom, setCurrentRoom] = useState('entrance');
-  const [conversationHistory, setConversationHistory] = useState([]);
-  const [ghostTrust, setGhostTrust] = useState(0);
+  const [engine, dispatch] = useReducer(engineReducer, INITIAL_GAME, createEngine);
+  const {
+    currentRoom, conversationHistory, trustHistory, inventory, givenItems, storyFlags, activeSpirit, roomVisits,
+    spiritEmotions, chapter, ending, journal, party
+  } = engine.game;
   const [isLoading, setIsLoading] = useState(false);
-  const [demoPassword, setDemoPassword] = useState('');
+  const [session, setSession] = useState(readSession);
+  const [sessionExpired, setSessionExpired] = useState(false);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [demoServerStatus, setDemoServerStatus] = useState({ online: false, checked: false });
-  const [isMusicMuted, setIsMusicMuted] = useState(false);
-  const [musicVolume, setMusicVolume] = useState(0.3);
+  const [demoServerStatus, setDemoServerStatus] = useState({ online: false, checked: false, waking: false });
+  const [audioPrefs, setAudioPrefs] = useState(readAudioPrefs);
+  const [displayPrefs, setDisplayPrefs] = useState(readDisplayPrefs);
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const locale = LOCALES[displayPrefs.locale] ? displayPrefs.locale : detectLocale();
+  const t = (key, vars) => translate(locale, key, vars);
   const [musicStarted, setMusicStarted] = useState(false);
+  const [audioEngine] = useState(createAudioEngine);
+  const [voiceState, setVoiceState] = useState(null);
+  const utteranceRef = useRef(null);
+  const [saveSlots, setSaveSlots] = useState(() => listSaves());
+  // { code, name, player, status: 'connecting' | 'open' | 'closed', error }; the shared game itself is party
+  const [seance, setSeance] = useState(null);
+  const seanceSocketRef = useRef(null);
+
+  const spiritTrust = useMemo(() => getSpiritTrust(trustHistory), [trustHistory]);
+  const ghostTrust = spiritTrust[DEFAULT_SPIRIT];
+  const progress = useMemo(() => ({ storyFlags, spiritTrust, roomVisits, inventory, givenItems }),
+    [storyFlags, spiritTrust, roomVisits, inventory, givenItems]);
+  const objectives = STORY.chapters[getChapterIndex(chapter)].objectives
+    .map(({ when }, index) => ({ text: t(`story.${chapter}.objective.${index}`), done: meetsCondition(when, progress) }));
+  const seancePlayer = party && seance ? seance.player : null;
+  const seanceHost = getSeanceHost(party);
+  const canLead = !party || party.mode === 'vote' || !seanceHost || Boolean(seancePlayer && seancePlayer.id === seanceHost);
 
-  const audioRef = useRef(null);
-  const welcomeMusicRef = useRef(null);
+  const replyControllerRef = useRef(null);
+  const healthCheckRef = useRef({ inFlight: false, failingSince: null });
+  const journalRef = useRef({ start: engine.start, journal });
+  const roomRef = useRef(currentRoom);
 
   useEffect(() => {
     checkDemoServer();
   }, []);
 
+  // Polls quickly while the server is waking up and slowly otherwise, so a cold start is noticed as soon as it ends
+  useEffect(() => {
+    if (!demoServerStatus.checked) return;
+    const timeout = setTimeout(checkDemoServer,
+      demoServerStatus.waking ? NETWORK_CONFIG.WAKING_INTERVAL : NETWORK_CONFIG.HEALTH_INTERVAL);
+    return () => clearTimeout(timeout);
+  }, [demoServerStatus]);
+
   useEffect(() => {
-    // Initialize welcome music
-    if (!isAuthenticated && musicStarted) {
-      welcomeMusicRef.current = new Audio('/music/cryptic-sorrow.mp3');
-      welcomeMusicRef.current.loop = true;
-      welcomeMusicRef.current.volume = musicVolume;
-      
-      const playWelcomeMusic = async () => {
-        try {
-          await welcomeMusicRef.current.play();
-        } catch (error) {
-          console.log('Audio autoplay blocked');
+    const goOffline = () => setDemoServerStatus({ online: false, checked: true, waking: false });
+    window.addEventListener('online', checkDemoServer);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', checkDemoServer);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (process.env.NODE_ENV === 'development') reportManifestProblems(mansion);
+  }, []);
+
+  useEffect(() => () => audioEngine.close(), [audioEngine]);
+
+  useEffect(() => () => {
+    if (SPEECH_SUPPORT.synthesis) window.speechSynthesis.cancel();
+  }, []);
+
+  useEffect(() => () => {
+    if (seanceSocketRef.current) seanceSocketRef.current.socket.close();
+  }, []);
+
+  // In a séance the room can change from another player's move, so the door sounds here rather than on the click
+  useEffect(() => {
+    if (roomRef.current === currentRoom) return;
+    roomRef.current = currentRoom;
+    if (!party) return;
+    if (replyControllerRef.current) replyControllerRef.current.abort();
+    audioEngine.playSfx('door');
+  }, [currentRoom, party, audioEngine]);
+
+  useEffect(() => {
+    writeDisplayPrefs(displayPrefs);
+  }, [displayPrefs]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    writeSession(session);
+  }, [session]);
+
+  useEffect(() => {
+    audioEngine.setMuted(audioPrefs.muted);
+    Object.entries(audioPrefs.volumes).forEach(([bus, volume]) => audioEngine.setVolume(bus, volume));
+    writeAudioPrefs(audioPrefs);
+  }, [audioEngine, audioPrefs]);
+
+  // The welcome theme plays until the password is accepted, then each room brings its own track and ambience
+  useEffect(() => {
+    if (!musicStarted) return;
+    const room = ROOMS[currentRoom];
+    audioEngine.playMusic(isAuthenticated && room ? room.music : mansion.welcomeMusic);
+    audioEngine.playAmbience(isAuthenticated && room ? room.ambience : null);
+  }, [audioEngine, musicStarted, isAuthenticated, currentRoom]);
+
+  useEffect(() => {
+    // Nothing worth keeping until the welcome message has been added. A séance's game belongs to the group, so the
+    // player's own autosave is left as it was until they are playing alone again.
+    if (!isAuthenticated || conversationHistory.length === 0 || party) return;
+    writeSave(SAVE_CONFIG.AUTOSAVE_SLOT, 'Autosave', {
+      currentRoom, conversationHistory, ghostTrust, trustHistory, activeSpirit, roomVisits, inventory, givenItems,
+      storyFlags, chapter, ending, journal
+    });
+    setSaveSlots(listSaves());
+  }, [isAuthenticated, currentRoom, conversationHistory, ghostTrust, trustHistory, activeSpirit, roomVisits,
+    inventory, givenItems, storyFlags, chapter, ending, journal, party]);
+
+  // Entries found while playing are announced; ones filled in by starting or loading a game, or taken back by undo, are not
+  useEffect(() => {
+    const previous = journalRef.current;
+    journalRef.current = { start: engine.start, journal };
+    if (!isAuthenticated || previous.start !== engine.start) return;
+    const found = Object.keys(journal).filter(id => !previous.journal[id]);
+    if (found.length === 0) return;
+    audioEngine.playSfx('discover');
+    found.forEach(id => {
+      const at = Date.now();
+      dispatch({
+        type: 'message_added', at,
+        message: {
+          id: createMessageId(), role: 'system', timestamp: at, room: currentRoom,
+          content: translate(locale, 'journal.discovered', { title: translate(locale, `lore.${id}.title`) })
         }
-      };
-      
-      playWelcomeMusic();
+      });
+    });
+  }, [isAuthenticated, engine.start, journal, audioEngine, locale, currentRoom]);
 
-      return () => {
-        if (welcomeMusicRef.current) {
-          welcomeMusicRef.current.pause();
-          welcomeMusicRef.current = null;
+  // Endings are checked before chapters, so a discovery that finishes the story never announces a new chapter
+  useEffect(() => {
+    if (!isAuthenticated || ending || conversationHistory.length === 0) return;
+    const reached = findEnding(progress);
+    if (reached) {
+      if (replyControllerRef.current) replyControllerRef.current.abort();
+      dispatch({ type: 'ending_reached', ending: reached.id, at: Date.now() });
+      return;
+    }
+    const index = getChapterIndex(chapter);
+    const isComplete = STORY.chapters[index].objectives.every(({ when }) => meetsCondition(when, progress));
+    if (isComplete && index < STORY.chapters.length - 1) {
+      const next = STORY.chapters[index + 1];
+      const at = Date.now();
+      dispatch({ type: 'chapter_reached', chapter: next.id, at });
+      dispatch({
+        type: 'message_added', at,
+        message: {
+          id: createMessageId(), role: 'system', timestamp: at,
+          content: translate(locale, 'chapter.announcement', { number: index + 2, title: translate(locale, `story.${next.id}.title`) })
         }
-      };
+      });
     }
-  }, [isAuthenticated, musicVolume, musicStarted]);
+  }, [isAuthenticated, ending, conversationHistory.length, progress, chapter, locale]);
 
-  useEffect(() => {
-    const playRoomMusic = async () => {
-      const musicUrl = ROOMS[currentRoom].music;
-      audioRef.current = new Audio(musicUrl);
-      audioRef.current.loop = true;
-      audioRef.current.volume = 0;
-      
-      try {
-        await audioRef.current.play();
-        
-        // Fade in
-        const fadeIn = setInterval(() => {
-          if (audioRef.current && audioRef.current.volume < musicVolume - 0.05) {
-            audioRef.current.volume += 0.05;
-          } else {
-            if (audioRef.current) {
-              audioRef.current.volume = isMusicMuted ? 0 : musicVolume;
-            }
-            clearInterval(fadeIn);
-          }
-        }, 50);
-      } catch (error) {
-        console.log('Error playing room music:', error);
-      }
-    };
+  // A slow or failed check while the server was recently reachable (or never seen) counts as waking up;
+  // once failures outlast WAKE_WINDOW the server is shown as offline and polled slowly
+  const checkDemoServer = async () => {
+    const health = healthCheckRef.current;
+    if (health.inFlight) return;
+    if (navigator.onLine === false) {
+      setDemoServerStatus({ online: false, checked: true, waking: false });
+      return;
+    }
+    health.inFlight = true;
+    const slow = setTimeout(() => setDemoServerStatus(prev => prev.online || prev.waking ? prev : { ...prev, waking: true }),
+      NETWORK_CONFIG.SLOW_RESPONSE);
+    let data = null;
+    try {
+      const response = await apiFetch('/health', { timeout: NETWORK_CONFIG.HEALTH_TIMEOUT, retries: 0 });
+      if (response.ok) data = await response.json();
+    } catch (error) {
+      data = null;
+    }
+    clearTimeout(slow);
+    health.inFlight = false;
+    if (data) {
+      health.failingSince = null;
+      setDemoServerStatus({ ...data, online: true, checked: true, waking: false });
+      return;
+    }
+    if (!health.failingSince) health.failingSince = Date.now();
+    setDemoServerStatus({
+      online: false, checked: true, waking: Date.now() - health.failingSince < NETWORK_CONFIG.WAKE_WINDOW
+    });
+  };
 
-    if (isAuthenticated && ROOMS[currentRoom]) {
-      // Stop welcome music if still playing
-      if (welcomeMusicRef.current) {
-        welcomeMusicRef.current.pause();
-        welcomeMusicRef.current = null;
+  const verifyPassword = async (password) => {
+    try {
+      const response = await apiFetch('/api/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setSession(parseSession(data, password));
+        setSessionExpired(false);
+        setIsAuthenticated(true);
+        return { success: true, data };
       }
+      return { success: false, error: t('password.invalid') };
+    } catch (error) {
+      return { success: false, error: t('password.unreachable') };
+    }
+  };
 
-      // Fade out current music
-      if (audioRef.current) {
-        const fadeOut = setInterval(() => {
-          if (audioRef.current && audioRef.current.volume > 0.05) {
-            audioRef.current.volume -= 0.05;
-          } else {
-            clearInterval(fadeOut);
-            if (audioRef.current) {
-              audioRef.current.pause();
-              audioRef.current = null;
-            }
-            playRoomMusic();
-          }
-        }, 50);
-      } else {
-        playRoomMusic();
-      }
+  // A token stored earlier in this tab skips the password prompt until it expires
+  const resumeSession = () => {
+    if (!session || !session.token || !isSessionLive(session)) return false;
+    setIsAuthenticated(true);
+    return true;
+  };
+
+  // Null once the session has lapsed; the caller should then call expireSession
+  const getAuthHeaders = () => isSessionLive(session) ? sessionHeaders(session) : null;
+
+  // Game progress stays in memory while the password prompt is shown over it
+  const expireSession = () => {
+    setSession(null);
+    setSessionExpired(true);
+  };
+
+  // The autosave keeps the game for the next visit; the server is told when it handed out a token
+  const logout = () => {
+    if (session && session.token) {
+      apiFetch('/api/logout', { method: 'POST', headers: sessionHeaders(session), retries: 0 }).catch(() => {});
     }
-  }, [currentRoom, isAuthenticated, musicVolume, isMusicMuted]);
+    clearGame();
+    setSession(null);
+    setSessionExpired(false);
+    setIsAuthenticated(false);
+  };
 
-  useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = isMusicMuted ? 0 : musicVolume;
+  // During a séance the player's events go to the relay and are applied when it sends them back, in the same order
+  // for everyone. Chapters, endings and journal notices follow from those events, so each game works them out itself.
+  const emit = (event) => {
+    const connection = seanceSocketRef.current;
+    if (connection && connection.player && connection.socket.readyState === WebSocket.OPEN) {
+      connection.socket.send(JSON.stringify({ type: 'event', event }));
+    } else {
+      dispatch(event);
     }
-    if (welcomeMusicRef.current) {
-      welcomeMusicRef.current.volume = isMusicMuted ? 0 : musicVolume;
+  };
+
+  const record = (type, details = {}) => emit({ type, at: Date.now(), ...details });
+
+  // Marks the start of something the player did, which is what undo and the timeline step back over
+  const beginTurn = (label) => {
+    record('turn_started', { label, room: currentRoom });
+  };
+
+  const rewind = (type, turn, details = {}) => {
+    cancelGhostReply();
+    const at = Date.now();
+    dispatch({
+      type, at, ...details,
+      notice: { id: createMessageId(), role: 'system', timestamp: at, content: t(`timeline.${type}Notice`, { action: turn.label }) }
+    });
+  };
+
+  // Turns are not taken back during a séance, where the others have already seen them
+  const undoTurn = () => {
+    const turns = getTurns(engine.log);
+    if (party || turns.length === 0) return false;
+    rewind('undo', turns[turns.length - 1]);
+    return true;
+  };
+
+  const rewindTo = (index) => {
+    const turn = engine.log[index];
+    if (party || !turn || turn.type !== 'turn_started') return false;
+    rewind('rewind', turn, { index });
+    return true;
+  };
+
+  const addMessage = (role, content, details = {}) => {
+    const id = createMessageId();
+    const at = Date.now();
+    const author = role === 'user' && seancePlayer ? { author: seancePlayer } : {};
+    emit({ type: 'message_added', at, message: { id, role, content, timestamp: at, room: currentRoom, ...author, ...details } });
+    return id;
+  };
+
+  // Shown to this player only, even during a séance
+  const addNotice = (content) => {
+    const at = Date.now();
+    dispatch({ type: 'message_added', at, message: { id: createMessageId(), role: 'system', content, timestamp: at, room: currentRoom } });
+  };
+
+  const updateMessage = (id, changes) => {
+    record('message_updated', { id, changes });
+  };
+
+  // A reply still streaming in is shown to this player only; the finished reply is sent with updateMessage
+  const previewMessage = (id, changes) => {
+    dispatch({ type: 'message_updated', at: Date.now(), id, changes });
+  };
+
+  const removeMessage = (id) => {
+    record('message_removed', { id });
+  };
+
+  // Only one ghost reply may be in flight; starting another or leaving the room aborts it
+  const beginGhostReply = () => {
+    if (replyControllerRef.current) replyControllerRef.current.abort();
+    replyControllerRef.current = new AbortController();
+    return replyControllerRef.current;
+  };
+
+  const finishGhostReply = (controller) => {
+    if (replyControllerRef.current !== controller) return false;
+    replyControllerRef.current = null;
+    setIsLoading(false);
+    return true;
+  };
+
+  const cancelGhostReply = () => {
+    stopSpeaking();
+    if (!replyControllerRef.current) return;
+    replyControllerRef.current.abort();
+    replyControllerRef.current = null;
+    setIsLoading(false);
+  };
+
+  const getPaths = (roomId) => getConnections(roomId).map(connection => ({
+    ...connection,
+    hint: connection.hint && t(`room.${roomId}.lock.${connection.to}`),
+    open: isPathOpen(connection, { spiritTrust, inventory, givenItems, storyFlags })
+  }));
+
+  const moveToRoom = (roomId) => {
+    const path = getPaths(currentRoom).find(({ to }) => to === roomId);
+    if (!path || !ROOMS[roomId]) return false;
+    if (!path.open) {
+      audioEngine.playSfx('locked');
+      // Only the player who tried the door hears that it is barred
+      addNotice(path.hint || t('message.barred', { room: t(`room.${roomId}.name`) }));
+      return false;
+    }
+    if (!canLead) {
+      addNotice(t('seance.hostLeads', { host: party.players[0].name }));
+      return false;
     }
-  }, [isMusicMuted, musicVolume]);
+    const moved = t('message.moved', { room: t(`room.${roomId}.name`) });
+    if (party && party.mode === 'vote') {
+      const at = Date.now();
+      record('travel_voted', { room: roomId, message: { id: createMessageId(), role: 'system', content: moved, timestamp: at, room: roomId } });
+      return true;
+    }
+    if (!party) {
+      cancelGhostReply();
+      audioEngine.playSfx('door');
+    }
+    recordVisit(roomId);
+    addMessage('system', moved, { room: roomId });
+    return true;
+  };
 
+  const recordVisit = (roomId) => {
+    record('room_entered', { room: roomId });
+  };
+
+  // Walks the shortest open route as one turn, for room links and the browser's back and forward buttons
+  const travelTo = (roomId) => {
+    const route = ROOMS[roomId] && !party ? findRoute(currentRoom, roomId, { spiritTrust, inventory, givenItems, storyFlags }) : null;
+    if (!route || route.length === 0) return false;
+    beginTurn(t('room.goTo', { room: t(`room.${roomId}.name`) }));
+    cancelGhostReply();
+    audioEngine.playSfx('door');
+    route.forEach(stop => recordVisit(stop));
+    addMessage('system', t('message.moved', { room: t(`room.${roomId}.name`) }), { room: roomId });
+    return true;
+  };
+
+  const addressSpirit = (spiritId) => {
+    if (!getSpiritsInRoom(currentRoom).some(({ id }) => id === spiritId)) return false;
+    record('spirit_addressed', { spirit: spiritId });
+    return true;
+  };
+
+  const setSpiritEmotion = (spiritId, emotion) => {
+    record('emotion_changed', { spirit: spiritId, emotion });
+  };
+
+  // Only messages exchanged with this spirit; system narration and local commands are shared context
+  const getSpiritHistory = (spiritId) => conversationHistory
+    .filter(message => message.spirit === spiritId && !message.command && !message.undelivered && !message.failed
+      && !message.queued && message.content);
+
+  const getSpiritMemory = (spiritId) => buildSpiritMemory(getSpiritHistory(spiritId), SPIRITS[spiritId].name);
+
+  const setStoryFlag = (flag) => {
+    record('flag_set', { flag });
+  };
+
+  const examineFeature = (featureId) => {
+    if (!(ROOMS[currentRoom].features || {})[featureId]) return false;
+    record('feature_examined', { room: currentRoom, feature: featureId });
+    return true;
+  };
+
+  // Lets the journal unlock entries on what a spirit said
+  const recordAnswer = (spiritId, text) => {
+    record('ghost_answered', { spirit: spiritId, text });
+  };
+
+  const applyGhostEvents = (events, spiritId = activeSpirit) => {
+    events.forEach(event => {
+      if (event.type === 'unlock_room' && ROOMS[event.room]) {
+        setStoryFlag(`unlocked:${event.room}`);
+        audioEngine.playSfx('door');
+        addMessage('system', t('message.unlocked', { room: t(`room.${event.room}.name`) }));
+      } else if (event.type === 'set_flag' && typeof event.flag === 'string') {
+        setStoryFlag(event.flag);
+      } else if (event.type === 'flicker_lights') {
+        audioEngine.playSfx('flicker');
+      } else if (event.type === 'give_item' && ITEMS[event.item]
+        && !inventory.includes(event.item) && !givenItems.includes(event.item)) {
+        record('item_taken', { item: event.item, spirit: spiritId });
+        audioEngine.playSfx('pickup');
+        addMessage('system', t('message.given', { spirit: SPIRITS[spiritId].name, item: t(`item.${event.item}.name`) }));
+      }
+    });
+  };
+
+  const adjustTrust = (amount, reasons = [], spiritId = DEFAULT_SPIRIT) => {
+    if (amount === 0 && reasons.length === 0) return;
+    if (amount !== 0) audioEngine.playSfx(amount > 0 ? 'warmth' : 'chill');
+    record('trust_changed', { spirit: spiritId, amount, reasons, ...(seancePlayer ? { author: seancePlayer } : {}) });
+  };
+
+  const getRoomItems = (roomId) => (ROOMS[roomId].items || [])
+    .filter(itemId => !inventory.includes(itemId) && !givenItems.includes(itemId));
+
+  const takeItem = (itemId) => {
+    if (!getRoomItems(currentRoom).includes(itemId)) return false;
+    record('item_taken', { item: itemId });
+    audioEngine.playSfx('pickup');
+    addMessage('system', t('message.taken', { item: t(`item.${itemId}.name`) }));
+    return true;
+  };
+
+  const giveItem = (itemId, spiritId = activeSpirit) => {
+    if (!inventory.includes(itemId)) return false;
+    if (!acceptsItem(spiritId, itemId)) {
+      addMessage('system', t('message.refused', { spirit: SPIRITS[spiritId].name, item: t(`item.${itemId}.name`) }));
+      return false;
+    }
+    const giftTrust = (ITEMS[itemId].giftTrust || {})[spiritId] || 0;
+    if (giftTrust !== 0) audioEngine.playSfx(giftTrust > 0 ? 'warmth' : 'chill');
+    record('item_given', { item: itemId, spirit: spiritId });
+    return true;
+  };
+
+  // Only possible through the front door; which ending it gives depends on what the player uncovered
+  const leaveMansion = () => {
+    if (currentRoom !== mansion.startRoom || ending || !canLead) return false;
+    const reached = findEnding(progress, 'leave');
+    if (!reached) return false;
+    cancelGhostReply();
+    record('ending_reached', { ending: reached.id });
+    return true;
+  };
 
+  const clearGame = () => {
+    leaveSeance();
+    cancelGhostReply();
+    record('game_started', { state: {} });
+  };
 
-  const checkDemoServer = async () => {
+  // Joining replaces this player's game with the séance's, rebuilt from the relay's log of everything sent so far
+  const openSeance = (code, name, create = null) => {
+    leaveSeance();
+    // A long game hosted as a séance sends its whole history up front, which can outgrow what the relay accepts
+    const join = JSON.stringify({ type: 'join', code, name, create });
+    if (new TextEncoder().encode(join).length > SEANCE_CONFIG.MAX_MESSAGE_BYTES) {
+      setSeance({ code, name, player: null, status: 'closed', error: 'tooLarge' });
+      return;
+    }
+    const connection = { socket: null, player: null, error: null };
     try {
-      const response = await fetch(`${API_CONFIG.DEMO_SERVER}/health`);
-      if (response.ok) {
-        const data = await response.json();
-        setDemoServerStatus({ online: true, checked: true, ...data });
-      } else {
-        setDemoServerStatus({ online: false, checked: true });
-      }
+      connection.socket = new WebSocket(SEANCE_CONFIG.URL);
     } catch (error) {
-      setDemoServerStatus({ online: false, checked: true });
+      setSeance({ code, name, player: null, status: 'closed', error: 'unreachable' });
+      return;
     }
+    const { socket } = connection;
+    const current = () => seanceSocketRef.current === connection;
+    seanceSocketRef.current = connection;
+    setSeance({ code, name, player: null, status: 'connecting', error: null });
+    socket.onopen = () => socket.send(join);
+    socket.onmessage = ({ data }) => {
+      if (!current()) return;
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+      if (message.type === 'welcome') {
+        cancelGhostReply();
+        connection.player = message.player;
+        message.log.forEach(entry => dispatch({ ...entry.event, sender: entry.sender, seq: entry.seq }));
+        setSeance({ code: message.code, name, player: message.player, status: 'open', error: null });
+      } else if (message.type === 'event') {
+        dispatch({ ...message.event, sender: message.sender, seq: message.seq });
+      } else if (message.type === 'error' && !connection.player) {
+        seanceSocketRef.current = null;
+        socket.close();
+        setSeance({ code, name, player: null, status: 'closed', error: message.reason });
+      } else if (message.type === 'ended') {
+        // The relay says why before it closes a séance for everyone
+        connection.error = message.reason;
+      }
+    };
+    // The game carries on alone from where the séance left it
+    socket.onclose = () => {
+      if (!current()) return;
+      seanceSocketRef.current = null;
+      if (connection.player) dispatch({ type: 'seance_left', at: Date.now() });
+      setSeance(prev => prev && {
+        ...prev, status: 'closed', error: connection.player ? connection.error || 'lost' : 'unreachable'
+      });
+    };
   };
 
-  const verifyPassword = async (password) => {
-    try {
-      const response = await fetch(`${API_CONFIG.DEMO_SERVER}/api/verify`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ password })
-      });
-      if (response.ok) {
-        const data = await response.json();
-        setDemoPassword(password);
-        setIsAuthenticated(true);
-        return { success: true, data };
+  const hostSeance = (name, mode) => {
+    openSeance(createSeanceCode(), name, {
+      mode,
+      state: {
+        currentRoom, conversationHistory, trustHistory, activeSpirit, roomVisits, inventory, givenItems, storyFlags,
+        spiritEmotions, chapter, ending, journal
       }
-      return { success: false, error: 'Invalid password' };
-    } catch (error) {
-      return { success: false, error: 'Unable to connect' };
-    }
+    });
   };
 
-  const addMessage = (role, content) => {
-    setConversationHistory(prev => [...prev, { role, content }]);
+  const joinSeance = (code, name) => {
+    openSeance(code.trim().toUpperCase(), name);
   };
 
-  const moveToRoom = (roomId) => {
-    if (ROOMS[roomId]) {
-      setCurrentRoom(roomId);
-      addMessage('system', `You moved to the ${ROOMS[roomId].name}.`);
-    }
+  const leaveSeance = () => {
+    const connection = seanceSocketRef.current;
+    seanceSocketRef.current = null;
+    setSeance(null);
+    if (!connection) return;
+    connection.socket.close();
+    if (connection.player) dispatch({ type: 'seance_left', at: Date.now() });
   };
 
-  const adjustTrust = (amount) => {
-    setGhostTrust(prev => Math.max(0, Math.min(100, prev + amount)));
+  const resetGame = () => {
+    clearGame();
+    deleteSave(SAVE_CONFIG.AUTOSAVE_SLOT);
+    setSaveSlots(listSaves());
   };
 
+  // Must run inside a click or key handler so the browser lets audio start
   const startMusic = () => {
+    audioEngine.unlock();
     setMusicStarted(true);
   };
 
   const toggleMute = () => {
-    setIsMusicMuted(prev => !prev);
+    if (!audioPrefs.muted) stopSpeaking();
+    setAudioPrefs(prev => ({ ...prev, muted: !prev.muted }));
+  };
+
+  const toggleVoices = () => {
+    if (audioPrefs.voices) stopSpeaking();
+    setAudioPrefs(prev => ({ ...prev, voices: !prev.voices }));
   };
 
-  const changeVolume = (newVolume) => {
-    setMusicVolume(newVolume);
+  // Reads a reply in its spirit's voice. voiceState tracks the word being spoken so the typewriter can keep pace,
+  // and the music is ducked until the voice stops.
+  const speakMessage = (id, spiritId, text) => {
+    if (!SPEECH_SUPPORT.synthesis || !audioPrefs.voices || audioPrefs.muted || !text) return;
+    const settings = { ...SPEECH_CONFIG.DEFAULT_VOICE, ...SPIRITS[spiritId].voice };
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    const voice = pickVoice(window.speechSynthesis.getVoices(), locale, settings.prefer);
+    utterance.lang = locale;
+    utterance.rate = settings.rate;
+    utterance.pitch = settings.pitch;
+    if (voice) utterance.voice = voice;
+    // Events from an utterance that was cancelled or replaced arrive late and are ignored
+    utterance.onstart = () => {
+      if (utteranceRef.current !== utterance) return;
+      audioEngine.setDucked(true);
+      setVoiceState({ id, charIndex: 0, rate: settings.rate });
+    };
+    utterance.onboundary = (event) => {
+      if (utteranceRef.current === utterance) setVoiceState(prev => prev && { ...prev, charIndex: event.charIndex });
+    };
+    const finish = () => {
+      if (utteranceRef.current !== utterance) return;
+      utteranceRef.current = null;
+      audioEngine.setDucked(false);
+      setVoiceState(null);
+    };
+    utterance.onend = finish;
+    utterance.onerror = finish;
+    window.speechSynthesis.cancel();
+    utteranceRef.current = utterance;
+    window.speechSynthesis.speak(utterance);
+  };
+
+  const stopSpeaking = () => {
+    if (!utteranceRef.current) return;
+    utteranceRef.current = null;
+    window.speechSynthesis.cancel();
+    audioEngine.setDucked(false);
+    setVoiceState(null);
+  };
+
+  const changeVolume = (bus, volume) => {
+    setAudioPrefs(prev => ({ ...prev, volumes: { ...prev.volumes, [bus]: volume } }));
+  };
+
+  const toggleDisplayPref = (pref) => {
+    setDisplayPrefs(prev => ({ ...prev, [pref]: !prev[pref] }));
+  };
+
+  const changeLocale = (code) => {
+    setDisplayPrefs(prev => ({ ...prev, locale: code }));
+  };
+
+  const playSfx = (name) => {
+    audioEngine.playSfx(name);
+  };
+
+  const saveGame = (slotId, name) => {
+    const save = writeSave(slotId, name, {
+      currentRoom, conversationHistory, ghostTrust, trustHistory, activeSpirit, roomVisits, inventory, givenItems,
+      storyFlags, chapter, ending, journal
+    });
+    setSaveSlots(listSaves());
+    return Boolean(save);
+  };
+
+  const loadGame = (slotId) => {
+    const save = readSave(slotId);
+    if (!save || party) return false;
+    const { ghostTrust, ...state } = save.state;
+    cancelGhostReply();
+    record('game_started', {
+      state: { ...state, currentRoom: ROOMS[state.currentRoom] ? state.currentRoom : mansion.startRoom }
+    });
+    return true;
+  };
+
+  const removeSave = (slotId) => {
+    deleteSave(slotId);
+    setSaveSlots(listSaves());
   };
 
   return (
     <GameStateContext.Provider value={{
-      currentRoom, conversationHistory, ghostTrust, isLoading, demoPassword,
-      isAuthenticated, demoServerStatus, isMusicMuted, musicVolume, musicStarted,
-      setIsLoading, addMessage, moveToRoom, adjustTrust, verifyPassword, 
-      toggleMute, changeVolume, startMusic, ROOMS
+      currentRoom, roomVisits, conversationHistory, ghostTrust, spiritTrust, trustHistory, activeSpirit, spiritEmotions,
+      inventory, givenItems, storyFlags, chapter, objectives, ending, journal, isLoading, sessionExpired,
+      isAuthenticated, demoServerStatus, isMusicMuted: audioPrefs.muted, audioVolumes: audioPrefs.volumes, musicStarted,
+      voicesOn: audioPrefs.voices, voiceState, toggleVoices, speakMessage, stopSpeaking,
+      saveSlots, playSfx, highContrast: displayPrefs.highContrast, prefersReducedMotion,
+      reducedMotion: displayPrefs.reduceMotion || prefersReducedMotion, reduceMotionPref: displayPrefs.reduceMotion,
+      toggleDisplayPref, locale, changeLocale, t,
+      setIsLoading, addMessage, addNotice, updateMessage, previewMessage, removeMessage, checkDemoServer, beginGhostReply,
+      eventLog: engine.log, beginTurn, undoTurn, rewindTo, finishGhostReply, cancelGhostReply,
+      moveToRoom, travelTo, recordVisit, adjustTrust, verifyPassword, getRoomItems, takeItem, giveItem,
+      resumeSession, getAuthHeaders, expireSession, logout,
+      getPaths, setStoryFlag, examineFeature, recordAnswer, addressSpirit, setSpiritEmotion, getSpiritHistory,
+      getSpiritMemory, applyGhostEvents,
+      leaveMansion, resetGame,
+      party, seance, seancePlayer, seanceHost, canLead, hostSeance, joinSeance, leaveSeance,
+      toggleMute, changeVolume, startMusic, saveGame, loadGame, removeSave, ROOMS, ITEMS, SPIRITS
     }}>
       {children}
     </GameStateContext.Provider>
   );
 };
 
-const TypewriterText = ({ text }) => {
-  const [displayedText, setDisplayedText] = useState('');
+// While the text is read aloud, `voice` ({ charIndex, rate }) slows the reveal to the voice's pace and pulls it
+// forward to the end of the word being spoken whenever it falls behind
+const TypewriterText = ({ text, instant = false, voice = null }) => {
   const [currentIndex, setCurrentIndex] = useState(0);
 
   useEffect(() => {
-    setDisplayedText('');
     setCurrentIndex(0);
   }, [text]);
 
   useEffect(() => {
-    if (currentIndex < text.length) {
-      const timeout = setTimeout(() => {
-        setDisplayedText(prev => prev + text[currentIndex]);
-        setCurrentIndex(prev => prev + 1);
-      }, 30);
-      return () => clearTimeout(timeout);
+    if (instant || currentIndex >= text.length) return;
+    if (voice && voice.charIndex > currentIndex) {
+      const wordEnd = text.indexOf(' ', voice.charIndex);
+      setCurrentIndex(wordEnd === -1 ? text.length : wordEnd);
+      return;
     }
-  }, [currentIndex, text]);
+    const delay = voice ? 1000 / (SPEECH_CONFIG.CHARS_PER_SECOND * voice.rate) : 30;
+    const timeout = setTimeout(() => setCurrentIndex(prev => prev + 1), delay);
+    return () => clearTimeout(timeout);
+  }, [currentIndex, text, instant, voice]);
+
+  return <span>{instant ? text : text.slice(0, currentIndex)}</span>;
+};
+
+// Effects come from the current room's `atmosphere` rules and are left out entirely under reduced motion
+const AtmosphereLayer = () => {
+  const { currentRoom, spiritTrust, spiritEmotions, reducedMotion, playSfx } = useGameState();
+  const [bursts, setBursts] = useState([]);
+  const heldRef = useRef({ roomId: null, held: [] });
+  const nextBurstRef = useRef(0);
+  const burstTimersRef = useRef(new Set());
+  const rules = ROOMS[currentRoom].atmosphere || [];
+  const held = rules.map(rule => atmosphereHolds(rule, { roomId: currentRoom, spiritTrust, spiritEmotions }));
+
+  // Bursts outlive the effect that started them, so their timers are tracked here and cleared on unmount
+  const later = (callback, delay) => {
+    const timer = setTimeout(() => {
+      burstTimersRef.current.delete(timer);
+      callback();
+    }, delay);
+    burstTimersRef.current.add(timer);
+  };
+
+  const playBurst = (effect) => {
+    const { duration, sfx, sfxDelay = 0 } = ATMOSPHERE_EFFECTS[effect];
+    const burst = { id: nextBurstRef.current++, effect, left: `${10 + Math.random() * 70}%` };
+    setBursts(prev => [...prev, burst]);
+    later(() => setBursts(prev => prev.filter(({ id }) => id !== burst.id)), duration);
+    if (sfx) later(() => playSfx(sfx), sfxDelay);
+  };
+  const playBurstRef = useRef(playBurst);
+  playBurstRef.current = playBurst;
+
+  // Keyed on which rules hold, so a momentary effect plays when its rule starts to hold rather than on every render
+  const heldKey = held.map(Number).join('');
+  useEffect(() => {
+    const previous = heldRef.current;
+    const roomRules = ROOMS[currentRoom].atmosphere || [];
+    const nowHeld = heldKey.split('').map(flag => flag === '1');
+    heldRef.current = { roomId: currentRoom, held: nowHeld };
+    if (reducedMotion) return;
+    const timers = [];
+    roomRules.forEach((rule, index) => {
+      if (ATMOSPHERE_EFFECTS[rule.effect].lasting || !nowHeld[index]) return;
+      if (previous.roomId !== currentRoom || !previous.held[index]) playBurstRef.current(rule.effect);
+      if (rule.every) timers.push(setInterval(() => playBurstRef.current(rule.effect), rule.every * 1000));
+    });
+    return () => timers.forEach(clearInterval);
+  }, [currentRoom, heldKey, reducedMotion]);
+
+  useEffect(() => {
+    const burstTimers = burstTimersRef.current;
+    return () => {
+      burstTimers.forEach(clearTimeout);
+      burstTimers.clear();
+    };
+  }, []);
+
+  if (reducedMotion) return null;
 
-  return <span>{displayedText}</span>;
+  return (
+    <div className="atmosphere-layer" aria-hidden="true" style={{
+      position: 'fixed', inset: 0, pointerEvents: 'none', zIndex: 1, overflow: 'hidden'
+    }}>
+      <style>{ATMOSPHERE_CSS}</style>
+      {rules.filter((rule, index) => held[index] && ATMOSPHERE_EFFECTS[rule.effect].lasting)
+        .map(rule => rule.effect)
+        .filter((effect, index, effects) => effects.indexOf(effect) === index)
+        .map(effect => <div key={effect} className={`atmosphere-${effect}`} />)}
+      {bursts.map(burst => (
+        <div key={burst.id} className={`atmosphere-${burst.effect}`} style={{ '--apparition-left': burst.left }} />
+      ))}
+    </div>
+  );
 };
 
-const PasswordModal = ({ onSuccess, show }) => {
-  const { verifyPassword } = useGameState();
+const PasswordModal = ({ onSuccess, show, expired = false, onLeave }) => {
+  const { verifyPassword, t } = useGameState();
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isVerifying, setIsVerifying] = useState(false);
 
   const handleSubmit = async () => {
     if (!password.trim()) {
-      setError('Please enter a password');
+      setError(t('password.empty'));
       return;
     }
     setIsVerifying(true);
@@ -292,93 +2441,724 @@ const PasswordModal = ({ onSuccess, show }) => {
     setIsVerifying(false);
   };
 
-  if (!show) return null;
+  if (!show) return null;
+
+  return (
+    <div style={{
+      position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+      background: 'linear-gradient(rgba(0,0,0,0.5), rgba(13,2,33,0.7)), url(https://i.imgur.com/OCuqVi0.png)',
+      backgroundSize: 'cover', backgroundPosition: 'center',
+      display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000,
+      overflow: 'auto'
+    }}>
+      <link href="https://fonts.googleapis.com/css2?family=Creepster&family=Special+Elite&display=swap" rel="stylesheet" />
+      <style>{`
+        ${FOCUS_CSS}
+        @media (max-width: 768px) {
+          .password-container {
+            padding: 32px 24px !important;
+            max-width: 90% !important;
+          }
+          .password-title {
+            font-size: 32px !important;
+          }
+          .password-subtitle {
+            font-size: 11px !important;
+          }
+          .password-description {
+            font-size: 14px !important;
+          }
+          .password-input {
+            padding: 14px !important;
+            font-size: 16px !important;
+          }
+          .password-button {
+            padding: 14px !important;
+            font-size: 16px !important;
+          }
+        }
+      `}</style>
+      <div className="password-container" style={{
+        background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+        padding: '48px', borderRadius: '16px', maxWidth: '500px', width: '90%',
+        border: '3px solid #ff6b35', textAlign: 'center',
+        boxShadow: '0 20px 80px rgba(0,0,0,0.9)', backdropFilter: 'blur(10px)'
+      }}>
+        <h2 className="password-title" style={{ 
+          color: '#ff6b35', marginTop: 0, fontSize: '48px',
+          fontFamily: 'Creepster, cursive',
+          textShadow: '0 0 30px rgba(255,107,53,0.8)',
+          letterSpacing: '4px', marginBottom: '12px'
+        }}>{t('app.title')}</h2>
+        <p className="password-subtitle" style={{ color: '#9d7cc1', fontSize: '13px', fontFamily: 'monospace',
+          letterSpacing: '2px', marginBottom: '24px', textTransform: 'uppercase'
+        }}>{t('password.subtitle')}</p>
+        <p className="password-description" style={{ color: '#e0d4f7', marginBottom: '32px', lineHeight: '1.7',
+          fontFamily: 'Special Elite, cursive', fontSize: '15px'
+        }}>{t(expired ? 'password.expired' : 'password.description')}</p>
+        <input type="password" value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
+          placeholder={t('password.placeholder')} disabled={isVerifying}
+          aria-label={t('password.label')} aria-invalid={Boolean(error)} autoFocus
+          className="password-input"
+          style={{
+            width: '100%', padding: '18px',
+            background: 'linear-gradient(135deg, rgba(13,2,33,0.9), rgba(26,11,46,0.9))',
+            border: error ? '2px solid #ff6b6b' : '2px solid #8b008b',
+            borderRadius: '10px', color: '#e0d4f7', fontSize: '18px',
+            marginBottom: '16px', boxSizing: 'border-box',
+            fontFamily: 'Special Elite, cursive'
+          }} />
+        {error && (
+          <div role="alert" style={{
+            color: '#ff6b6b', fontSize: '14px', marginBottom: '16px',
+            padding: '12px', background: 'rgba(255,107,107,0.15)',
+            borderRadius: '8px', border: '1px solid #ff6b6b'
+          }}>{error}</div>
+        )}
+        <button onClick={handleSubmit} disabled={isVerifying}
+          className="password-button"
+          style={{
+            width: '100%', padding: '18px',
+            background: isVerifying ? 'linear-gradient(135deg, #555, #333)' : 'linear-gradient(135deg, #ff6b35, #ff8c61)',
+            color: '#fff', border: 'none', borderRadius: '10px',
+            cursor: isVerifying ? 'not-allowed' : 'pointer',
+            fontSize: '20px', fontWeight: 'bold',
+            fontFamily: 'Creepster, cursive', letterSpacing: '3px'
+          }}>{isVerifying ? t('password.verifying') : t('password.submit')}</button>
+        {onLeave && (
+          <button onClick={onLeave} disabled={isVerifying} style={{
+            width: '100%', marginTop: '12px', padding: '12px',
+            background: 'rgba(13,2,33,0.8)', color: '#9d7cc1',
+            border: '2px solid #8b008b', borderRadius: '10px',
+            cursor: isVerifying ? 'not-allowed' : 'pointer', fontSize: '14px',
+            fontFamily: 'Special Elite, cursive'
+          }}>{t('header.logout')}</button>
+        )}
+        <p style={{ color: '#9d7cc1', fontSize: '13px', marginTop: '24px',
+          marginBottom: 0, fontFamily: 'monospace', opacity: 0.8
+        }}>{t('password.hint')}</p>
+      </div>
+    </div>
+  );
+};
+
+const SavePanel = ({ onClose }) => {
+  const { saveSlots, saveGame, loadGame, removeSave, party, t } = useGameState();
+  const [saveName, setSaveName] = useState('');
+
+  const handleSave = (slotId) => {
+    saveGame(slotId, saveName.trim() || t('saves.defaultName', { number: SAVE_CONFIG.SLOTS.indexOf(slotId) + 1 }));
+    setSaveName('');
+  };
+
+  const handleLoad = (slotId) => {
+    if (loadGame(slotId)) onClose();
+  };
+
+  const slotButtonStyle = {
+    padding: '8px 14px',
+    background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+    color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+    cursor: 'pointer', fontSize: '12px'
+  };
+
+  return (
+    <div className="save-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ffd700',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('saves.title')}
+        </h2>
+        <button onClick={onClose} style={slotButtonStyle}>{t('saves.close')}</button>
+      </div>
+      <input type="text" value={saveName}
+        onChange={(e) => setSaveName(e.target.value)}
+        placeholder={t('saves.namePlaceholder')}
+        style={{
+          width: '100%', padding: '12px', marginBottom: '16px', boxSizing: 'border-box',
+          background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(13,2,33,0.95))',
+          border: '2px solid #8b008b', borderRadius: '8px', color: '#e0d4f7', fontSize: '14px'
+        }} />
+      {saveSlots.map(({ slotId, save }) => (
+        <div key={slotId} style={{
+          display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px',
+          flexWrap: 'wrap', padding: '12px', marginBottom: '10px',
+          background: 'rgba(13,2,33,0.6)', borderRadius: '8px',
+          borderLeft: `4px solid ${slotId === SAVE_CONFIG.AUTOSAVE_SLOT ? '#ffd700' : '#8b008b'}`
+        }}>
+          <div>
+            <div style={{ color: '#e0d4f7', fontSize: '14px' }}>
+              {save ? (slotId === SAVE_CONFIG.AUTOSAVE_SLOT ? t('saves.autosave') : save.name) : t('saves.empty')}
+            </div>
+            <div style={{ color: '#9d7cc1', fontSize: '12px', marginTop: '4px' }}>
+              {save ? describeSave(save, t) : t('saves.emptyDetail')}
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {slotId !== SAVE_CONFIG.AUTOSAVE_SLOT && (
+              <button onClick={() => handleSave(slotId)} style={slotButtonStyle}>{t('saves.save')}</button>
+            )}
+            {save && !party && <button onClick={() => handleLoad(slotId)} style={slotButtonStyle}>{t('saves.load')}</button>}
+            {save && <button onClick={() => removeSave(slotId)} style={slotButtonStyle}>{t('saves.delete')}</button>}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const TranscriptPanel = ({ onClose, onReplay }) => {
+  const { conversationHistory, trustHistory, locale, t } = useGameState();
+  const [error, setError] = useState('');
+  const hasMessages = conversationHistory.some(message => message.content);
+
+  const exportAs = (type) => {
+    const transcript = buildTranscript({ conversationHistory, trustHistory, t, locale });
+    const filename = `echoes-seance-${new Date().toISOString().slice(0, 10)}`;
+    if (type === 'html') downloadFile(`${filename}.html`, transcriptToHtml(transcript, t), 'text/html');
+    else if (type === 'markdown') downloadFile(`${filename}.md`, transcriptToMarkdown(transcript, t), 'text/markdown');
+    else downloadFile(`${filename}.json`, JSON.stringify(transcript, null, 2), 'application/json');
+  };
+
+  const importTranscript = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onReplay(parseTranscript(await file.text()));
+      onClose();
+    } catch (importError) {
+      setError(t(importError.message.startsWith('transcript.') ? importError.message : 'transcript.invalid'));
+    }
+  };
+
+  const panelButtonStyle = {
+    padding: '8px 14px',
+    background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+    color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+    cursor: 'pointer', fontSize: '12px'
+  };
+
+  return (
+    <div className="transcript-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ffd700',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('transcript.title')}
+        </h2>
+        <button onClick={onClose} style={panelButtonStyle}>{t('saves.close')}</button>
+      </div>
+      <p style={{ color: '#9d7cc1', fontSize: '13px', marginTop: 0 }}>{t('transcript.description')}</p>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        {['html', 'markdown', 'json'].map(type => (
+          <button key={type} onClick={() => exportAs(type)} disabled={!hasMessages} style={{
+            ...panelButtonStyle, opacity: hasMessages ? 1 : 0.5, cursor: hasMessages ? 'pointer' : 'not-allowed'
+          }}>{t(`transcript.export.${type}`)}</button>
+        ))}
+        <label style={{ ...panelButtonStyle, color: '#ffd700', borderColor: '#ffd700' }}>
+          {t('transcript.import')}
+          <input type="file" accept="application/json,.json" onChange={importTranscript} className="visually-hidden" />
+        </label>
+      </div>
+      {!hasMessages && <div style={{ color: '#e0d4f7', fontSize: '13px', opacity: 0.7 }}>{t('transcript.nothing')}</div>}
+      {error && <div role="alert" style={{ color: '#ff6b6b', fontSize: '13px' }}>{error}</div>}
+    </div>
+  );
+};
+
+const MemoryPanel = ({ onClose }) => {
+  const { activeSpirit, getSpiritHistory, getSpiritMemory, t } = useGameState();
+  const [spiritId, setSpiritId] = useState(activeSpirit);
+  const metSpirits = Object.values(SPIRITS).filter(({ id }) => id === activeSpirit || getSpiritHistory(id).length > 0);
+  const spirit = SPIRITS[spiritId];
+  const { facts, summaries } = getSpiritMemory(spiritId);
+  const fadedStyle = sent => sent ? {} : { opacity: 0.5, fontStyle: 'italic' };
+
+  return (
+    <div className="memory-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: `2px solid ${spirit.color}`,
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '12px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('memory.title', { spirit: spirit.name })}
+        </h2>
+        <button onClick={onClose} style={{
+          padding: '8px 14px',
+          background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+          color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+          cursor: 'pointer', fontSize: '12px'
+        }}>{t('saves.close')}</button>
+      </div>
+      {metSpirits.length > 1 && (
+        <div role="group" aria-label={t('memory.spirits')} style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          {metSpirits.map(({ id, name, color }) => (
+            <button key={id} onClick={() => setSpiritId(id)} aria-pressed={id === spiritId} style={{
+              padding: '6px 12px', background: id === spiritId ? color : 'rgba(13,2,33,0.8)',
+              color: '#e0d4f7', border: `2px solid ${color}`, borderRadius: '16px',
+              cursor: 'pointer', fontSize: '12px', fontFamily: 'Special Elite, cursive'
+            }}>{name}</button>
+          ))}
+        </div>
+      )}
+      {facts.length === 0 && summaries.length === 0 ? (
+        <div style={{ color: '#e0d4f7', fontSize: '13px', opacity: 0.7 }}>{t('memory.empty', { spirit: spirit.name })}</div>
+      ) : (
+        <div style={{ color: '#e0d4f7', fontSize: '13px', lineHeight: 1.6 }}>
+          {facts.length > 0 && (
+            <ul style={{ margin: '0 0 16px', paddingLeft: '20px' }}>
+              {facts.map(fact => (
+                <li key={`${fact.kind}-${fact.timestamp}-${fact.value}`} style={fadedStyle(fact.sent)}>
+                  {t(`memory.fact.${fact.kind}`, { value: fact.value })}
+                  {ROOMS[fact.room] && <span style={{ color: '#9d7cc1' }}> · {t(`room.${fact.room}.name`)}</span>}
+                  {!fact.sent && <span> {t('memory.faded')}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          {summaries.length > 0 && (
+            <div>
+              <h3 style={{ color: '#ffd700', fontSize: '14px', margin: '0 0 8px' }}>{t('memory.earlier')}</h3>
+              {summaries.map(summary => (
+                <div key={summary.timestamp} style={{
+                  marginBottom: '10px', padding: '8px 12px', borderLeft: `3px solid ${spirit.color}`,
+                  background: 'rgba(13,2,33,0.6)', borderRadius: '6px', ...fadedStyle(summary.sent)
+                }}>
+                  <div style={{ color: '#9d7cc1', fontSize: '11px', marginBottom: '4px' }}>
+                    {ROOMS[summary.room] ? t(`room.${summary.room}.name`) : t('memory.unknownRoom')} · {new Date(summary.timestamp).toLocaleTimeString()}
+                    {!summary.sent && ` ${t('memory.faded')}`}
+                  </div>
+                  {summary.lines.map((line, index) => (
+                    <div key={index}>
+                      <span style={{ color: line.role === 'user' ? '#ff6b35' : spirit.color }}>
+                        {line.role === 'user' ? t('chat.you') : spirit.name}:
+                      </span> “{line.text}”
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      <p style={{ color: '#9d7cc1', fontSize: '11px', marginBottom: 0 }}>
+        {t('memory.recentNote', { count: MEMORY_CONFIG.RECENT_MESSAGES })}
+      </p>
+    </div>
+  );
+};
+
+const TimelinePanel = ({ onClose }) => {
+  const { eventLog, undoTurn, rewindTo, party, t } = useGameState();
+  const turns = getTurns(eventLog).reverse();
+  const canUndo = turns.length > 0 && !party;
+
+  const panelButtonStyle = {
+    padding: '8px 14px',
+    background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+    color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+    cursor: 'pointer', fontSize: '12px'
+  };
+
+  return (
+    <div className="timeline-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ffd700',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '12px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('timeline.title')}
+        </h2>
+        <span style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={undoTurn} disabled={!canUndo} style={{
+            ...panelButtonStyle, opacity: canUndo ? 1 : 0.5, cursor: canUndo ? 'pointer' : 'not-allowed'
+          }}>{t('timeline.undo')}</button>
+          <button onClick={onClose} style={panelButtonStyle}>{t('saves.close')}</button>
+        </span>
+      </div>
+      {turns.length === 0 ? (
+        <div style={{ color: '#e0d4f7', fontSize: '13px', opacity: 0.7 }}>{t('timeline.empty')}</div>
+      ) : (
+        <ol style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: '320px', overflowY: 'auto' }}>
+          {turns.map((turn, position) => (
+            <li key={turn.index} style={{
+              display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px',
+              padding: '8px 0 8px 14px', borderLeft: '2px solid #8b008b', color: '#e0d4f7', fontSize: '13px'
+            }}>
+              <span>
+                <span style={{ color: '#9d7cc1', fontSize: '11px', display: 'block' }}>
+                  {[
+                    t('timeline.turn', { number: turns.length - position }),
+                    ROOMS[turn.room] && t(`room.${turn.room}.name`),
+                    new Date(turn.at).toLocaleTimeString()
+                  ].filter(Boolean).join(' · ')}
+                </span>
+                {turn.label}
+              </span>
+              {!party && (
+                <button onClick={() => rewindTo(turn.index)} style={{ ...panelButtonStyle, flexShrink: 0, fontSize: '11px' }}>
+                  {t('timeline.rewindHere')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      <p style={{ color: '#9d7cc1', fontSize: '11px', marginBottom: 0 }}>{t(party ? 'seance.noUndo' : 'timeline.note')}</p>
+    </div>
+  );
+};
+
+const JournalPanel = ({ onClose }) => {
+  const { journal, roomVisits, t } = useGameState();
+  const entries = Object.values(LORE);
+  const found = entries.filter(({ id }) => journal[id]).length;
+  const sections = Object.keys(ROOMS)
+    .map(roomId => ({ roomId, entries: entries.filter(({ room }) => room === roomId) }))
+    .filter(section => section.entries.length > 0);
+  const progressBar = (done, total) => (
+    <div role="progressbar" aria-valuemin={0} aria-valuemax={total} aria-valuenow={done} style={{
+      height: '6px', background: 'rgba(13,2,33,0.8)', borderRadius: '3px', overflow: 'hidden'
+    }}>
+      <div style={{ width: `${total > 0 ? (done / total) * 100 : 0}%`, height: '100%', background: 'linear-gradient(90deg, #8b008b, #ffd700)' }} />
+    </div>
+  );
+
+  return (
+    <div className="journal-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ffd700',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '12px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('journal.title')}
+        </h2>
+        <button onClick={onClose} style={{
+          padding: '8px 14px',
+          background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+          color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+          cursor: 'pointer', fontSize: '12px'
+        }}>{t('saves.close')}</button>
+      </div>
+      <div style={{ color: '#e0d4f7', fontSize: '13px', marginBottom: '6px' }}>
+        {t('journal.progress', { found, total: entries.length })}
+      </div>
+      {progressBar(found, entries.length)}
+      <div style={{ maxHeight: '360px', overflowY: 'auto', marginTop: '16px' }}>
+        {sections.map(section => {
+          const roomFound = section.entries.filter(({ id }) => journal[id]).length;
+          return (
+            <section key={section.roomId} style={{ marginBottom: '16px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '6px' }}>
+                <h3 style={{ color: '#ffd700', fontSize: '14px', margin: 0 }}>
+                  {roomVisits[section.roomId] ? t(`room.${section.roomId}.name`) : t('journal.unvisitedRoom')}
+                </h3>
+                <span style={{ color: '#9d7cc1', fontSize: '11px' }}>
+                  {t('journal.roomProgress', { found: roomFound, total: section.entries.length })}
+                </span>
+              </div>
+              {progressBar(roomFound, section.entries.length)}
+              <ul style={{ listStyle: 'none', margin: '8px 0 0', padding: 0 }}>
+                {section.entries.map(({ id }) => (
+                  <li key={id} style={{
+                    marginBottom: '8px', padding: '8px 12px', borderLeft: `3px solid ${journal[id] ? '#8b008b' : '#444'}`,
+                    background: 'rgba(13,2,33,0.6)', borderRadius: '6px', color: '#e0d4f7', fontSize: '13px', lineHeight: 1.5
+                  }}>
+                    {journal[id] ? (
+                      <div>
+                        <strong style={{ color: '#ff6b35' }}>{t(`lore.${id}.title`)}</strong>
+                        <div>{t(`lore.${id}.text`)}</div>
+                      </div>
+                    ) : (
+                      <span style={{ opacity: 0.5, fontStyle: 'italic' }}>{t('journal.undiscovered')}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          );
+        })}
+      </div>
+      <p style={{ color: '#9d7cc1', fontSize: '11px', marginBottom: 0 }}>{t('journal.note')}</p>
+    </div>
+  );
+};
+
+const SeancePanel = ({ onClose }) => {
+  const { party, seance, seancePlayer, seanceHost, hostSeance, joinSeance, leaveSeance, t } = useGameState();
+  const [name, setName] = useState(seance ? seance.name : '');
+  const [code, setCode] = useState('');
+  const [mode, setMode] = useState('vote');
+  const connecting = Boolean(seance && seance.status === 'connecting');
+  const ready = name.trim().length > 0 && !connecting;
+
+  const panelButtonStyle = {
+    padding: '8px 14px',
+    background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+    color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+    cursor: 'pointer', fontSize: '12px'
+  };
+  const fieldStyle = {
+    padding: '10px', boxSizing: 'border-box',
+    background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(13,2,33,0.95))',
+    border: '2px solid #8b008b', borderRadius: '8px', color: '#e0d4f7', fontSize: '14px'
+  };
+
+  return (
+    <div className="seance-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ffd700',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '12px' }}>
+        <h2 style={{ color: '#ffd700', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('seance.title')}
+        </h2>
+        <button onClick={onClose} style={panelButtonStyle}>{t('saves.close')}</button>
+      </div>
+      {party && seancePlayer ? (
+        <div style={{ color: '#e0d4f7', fontSize: '13px' }}>
+          <div style={{ marginBottom: '8px' }}>
+            {t('seance.code')} <strong style={{ color: '#ffd700', fontSize: '20px', letterSpacing: '4px' }}>{seance.code}</strong>
+          </div>
+          <div style={{ color: '#9d7cc1', marginBottom: '12px' }}>{t(`seance.${party.mode}Detail`)}</div>
+          <ul style={{ listStyle: 'none', margin: '0 0 12px', padding: 0 }}>
+            {party.players.map(player => (
+              <li key={player.id} style={{ padding: '6px 0 6px 12px', borderLeft: '2px solid #8b008b' }}>
+                {player.name}
+                {party.mode === 'host' && player.id === seanceHost && <span style={{ color: '#ffd700' }}> {t('seance.host')}</span>}
+                {player.id === seancePlayer.id && <span style={{ color: '#9d7cc1' }}> {t('seance.you')}</span>}
+                {party.votes[player.id] && (
+                  <span style={{ color: '#ff6b35' }}> {t('seance.votedFor', { room: t(`room.${party.votes[player.id]}.name`) })}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button onClick={leaveSeance} style={panelButtonStyle}>{t('seance.leave')}</button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+          <input type="text" value={name} maxLength={SEANCE_CONFIG.MAX_NAME_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('seance.namePlaceholder')} aria-label={t('seance.nameLabel')} style={fieldStyle} />
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+            {['vote', 'host'].map(option => (
+              <label key={option} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#9d7cc1', fontSize: '13px' }}>
+                <input type="radio" name="seance-mode" checked={mode === option} onChange={() => setMode(option)}
+                  style={{ accentColor: '#ff6b35' }} />
+                {t(`seance.${option}Mode`)}
+              </label>
+            ))}
+            <button onClick={() => hostSeance(name.trim(), mode)} disabled={!ready} style={panelButtonStyle}>
+              {t('seance.start')}
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+            <input type="text" value={code} maxLength={8}
+              onChange={(e) => setCode(e.target.value.toUpperCase())}
+              onKeyPress={(e) => e.key === 'Enter' && ready && code.trim() && joinSeance(code, name.trim())}
+              placeholder={t('seance.codePlaceholder')} aria-label={t('seance.codeLabel')}
+              style={{ ...fieldStyle, width: '140px', letterSpacing: '3px' }} />
+            <button onClick={() => joinSeance(code, name.trim())} disabled={!ready || !code.trim()} style={panelButtonStyle}>
+              {t('seance.join')}
+            </button>
+          </div>
+          {connecting && <div style={{ color: '#9d7cc1', fontSize: '13px' }}>{t('seance.connecting')}</div>}
+          {seance && seance.error && (
+            <div role="alert" style={{ color: '#ff6b6b', fontSize: '13px' }}>
+              {t(`seance.error.${seance.error}`, { code: seance.code })}{' '}
+              {seance.error === 'lost' && (
+                <button onClick={() => joinSeance(seance.code, seance.name)} style={panelButtonStyle}>{t('seance.rejoin')}</button>
+              )}
+            </div>
+          )}
+          <p style={{ color: '#9d7cc1', fontSize: '11px', margin: 0 }}>{t('seance.note')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MAP_CELL = { width: 130, height: 56, gap: 30, labelWidth: 70 };
+
+const MansionMap = ({ onClose }) => {
+  const { currentRoom, roomVisits, getPaths, moveToRoom, beginTurn, t } = useGameState();
+  const rooms = Object.values(ROOMS);
+  const columns = Math.max(...rooms.map(room => room.map.x)) + 1;
+  const rows = Math.max(...rooms.map(room => room.map.y)) + 1;
+  const left = room => MAP_CELL.labelWidth + room.map.x * (MAP_CELL.width + MAP_CELL.gap);
+  const top = room => MAP_CELL.gap / 2 + room.map.y * (MAP_CELL.height + MAP_CELL.gap);
+  const centre = room => ({ x: left(room) + MAP_CELL.width / 2, y: top(room) + MAP_CELL.height / 2 });
+
+  const edges = rooms.flatMap(room => getPaths(room.id)
+    .filter(({ to }) => room.id < to || !getConnections(to).some(back => back.to === room.id))
+    .map(path => ({ from: room.id, ...path })));
+  const adjacent = getPaths(currentRoom);
+  const lockedRooms = rooms.filter(room => !roomVisits[room.id]
+    && Object.keys(roomVisits).some(visited => getPaths(visited).some(({ to, open }) => to === room.id && !open))
+    && !Object.keys(roomVisits).some(visited => getPaths(visited).some(({ to, open }) => to === room.id && open)))
+    .map(({ id }) => id);
+  const floors = [...new Map(rooms.map(room => [room.map.y, t(`room.${room.id}.floor`)])).entries()];
+
+  const travel = (roomId) => {
+    if (!adjacent.some(({ to }) => to === roomId)) return;
+    beginTurn(t('room.goTo', { room: t(`room.${roomId}.name`) }));
+    moveToRoom(roomId);
+  };
+
+  const describeVisits = (roomId) => {
+    const visits = roomVisits[roomId];
+    if (!visits) return lockedRooms.includes(roomId) ? t('map.locked') : t('map.unexplored');
+    return t('map.visited', { count: visits.count, time: new Date(visits.firstVisitedAt).toLocaleTimeString() });
+  };
+
+  return (
+    <div className="map-panel" style={{
+      padding: '20px',
+      background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+      borderRadius: '12px', marginBottom: '24px', border: '2px solid #ff6b35',
+      backdropFilter: 'blur(10px)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h2 style={{ color: '#ff6b35', margin: 0, fontFamily: 'Creepster, cursive', letterSpacing: '2px' }}>
+          {t('map.title')}
+        </h2>
+        <button onClick={onClose} style={{
+          padding: '8px 14px', background: 'rgba(13,2,33,0.8)',
+          color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
+          cursor: 'pointer', fontSize: '12px'
+        }}>{t('map.close')}</button>
+      </div>
+      <svg viewBox={`0 0 ${MAP_CELL.labelWidth + columns * (MAP_CELL.width + MAP_CELL.gap)} ${rows * (MAP_CELL.height + MAP_CELL.gap)}`}
+        style={{ width: '100%', fontFamily: 'Special Elite, cursive' }}>
+        {floors.map(([row, floor]) => (
+          <text key={row} x={4} y={MAP_CELL.gap / 2 + row * (MAP_CELL.height + MAP_CELL.gap) + MAP_CELL.height / 2 + 4}
+            fill="#9d7cc1" fontSize="11" style={{ textTransform: 'uppercase' }}>{floor}</text>
+        ))}
+        {edges.map(({ from, to, open }) => (
+          <line key={`${from}-${to}`}
+            x1={centre(ROOMS[from]).x} y1={centre(ROOMS[from]).y} x2={centre(ROOMS[to]).x} y2={centre(ROOMS[to]).y}
+            stroke={open ? '#8b008b' : '#9d7cc1'} strokeWidth="3" strokeDasharray={open ? undefined : '6 6'} />
+        ))}
+        {rooms.map(room => {
+          const name = t(`room.${room.id}.name`);
+          const isCurrent = room.id === currentRoom;
+          const isVisited = Boolean(roomVisits[room.id]);
+          const isLocked = lockedRooms.includes(room.id);
+          const isAdjacent = adjacent.some(({ to }) => to === room.id);
+          return (
+            <g key={room.id} onClick={() => travel(room.id)}
+              onKeyDown={(e) => e.key === 'Enter' && travel(room.id)}
+              role={isAdjacent ? 'button' : undefined} tabIndex={isAdjacent ? 0 : undefined}
+              style={{ cursor: isAdjacent ? 'pointer' : 'default' }}>
+              <title>{`${name} — ${describeVisits(room.id)}`}</title>
+              <rect x={left(room)} y={top(room)} width={MAP_CELL.width} height={MAP_CELL.height} rx="8"
+                fill={isCurrent ? '#ff6b35' : isVisited ? 'rgba(139,0,139,0.6)' : 'rgba(13,2,33,0.9)'}
+                stroke={isCurrent ? '#ffd700' : isAdjacent ? '#ff6b35' : '#8b008b'}
+                strokeWidth={isAdjacent || isCurrent ? 3 : 2}
+                strokeDasharray={isVisited || isCurrent ? undefined : '4 4'} />
+              <text x={centre(room).x} y={centre(room).y - 4} textAnchor="middle" fontSize="12"
+                fill={isCurrent ? '#fff' : isVisited ? '#e0d4f7' : '#9d7cc1'}>
+                {isLocked ? `🔒 ${name}` : name}
+              </text>
+              <text x={centre(room).x} y={centre(room).y + 14} textAnchor="middle" fontSize="10"
+                fill={isCurrent ? '#fff' : '#9d7cc1'}>
+                {isCurrent ? t('map.here') : isVisited ? t('map.visitCount', { count: roomVisits[room.id].count }) : t('map.unexploredShort')}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+const EndingScreen = ({ onReplay }) => {
+  const { ending, chapter, roomVisits, inventory, givenItems, storyFlags, spiritTrust, trustHistory,
+    conversationHistory, t } = useGameState();
+  const chapterIndex = getChapterIndex(chapter);
+  const startedAt = conversationHistory.length > 0 ? conversationHistory[0].timestamp : ending.reachedAt;
+  const minutes = Math.max(1, Math.round((ending.reachedAt - startedAt) / 60000));
+  const spiritsMet = Object.values(SPIRITS).filter(({ id }) => trustHistory.some(entry => entry.spirit === id));
+  const summary = [
+    [t('ending.chapterReached'), t('ending.chapterValue', {
+      number: chapterIndex + 1, total: STORY.chapters.length, title: t(`story.${chapter}.title`)
+    })],
+    [t('ending.roomsExplored'), t('ending.ofTotal', { count: Object.keys(roomVisits).length, total: Object.keys(ROOMS).length })],
+    [t('ending.relicsFound'), t('ending.ofTotal', { count: inventory.length + givenItems.length, total: Object.keys(ITEMS).length })],
+    [t('ending.secrets'), Object.keys(storyFlags).filter(flag => !flag.startsWith('unlocked:')).length],
+    [t('ending.words'), conversationHistory.filter(message => message.role === 'user' && !message.command).length],
+    [t('ending.time'), t('ending.minutes', { count: minutes })],
+    ...spiritsMet.map(({ id, name }) => [t('ending.spiritTrust', { spirit: name }), `${spiritTrust[id]}%`])
+  ];
 
   return (
     <div style={{
-      position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
-      background: 'linear-gradient(rgba(0,0,0,0.5), rgba(13,2,33,0.7)), url(https://i.imgur.com/OCuqVi0.png)',
-      backgroundSize: 'cover', backgroundPosition: 'center',
-      display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000,
-      overflow: 'auto'
+      minHeight: '100vh',
+      background: 'linear-gradient(rgba(0,0,0,0.6), rgba(13,2,33,0.8)), url(https://i.imgur.com/OCuqVi0.png)',
+      backgroundSize: 'cover',
+      backgroundPosition: 'center',
+      backgroundAttachment: 'fixed',
+      padding: '20px', fontFamily: 'Special Elite, cursive',
+      display: 'flex', alignItems: 'center', justifyContent: 'center'
     }}>
       <link href="https://fonts.googleapis.com/css2?family=Creepster&family=Special+Elite&display=swap" rel="stylesheet" />
-      <style>{`
-        @media (max-width: 768px) {
-          .password-container {
-            padding: 32px 24px !important;
-            max-width: 90% !important;
-          }
-          .password-title {
-            font-size: 32px !important;
-          }
-          .password-subtitle {
-            font-size: 11px !important;
-          }
-          .password-description {
-            font-size: 14px !important;
-          }
-          .password-input {
-            padding: 14px !important;
-            font-size: 16px !important;
-          }
-          .password-button {
-            padding: 14px !important;
-            font-size: 16px !important;
-          }
-        }
-      `}</style>
-      <div className="password-container" style={{
+      <div className="ending-screen" style={{
+        maxWidth: '700px',
+        textAlign: 'center',
         background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
-        padding: '48px', borderRadius: '16px', maxWidth: '500px', width: '90%',
-        border: '3px solid #ff6b35', textAlign: 'center',
-        boxShadow: '0 20px 80px rgba(0,0,0,0.9)', backdropFilter: 'blur(10px)'
+        padding: '60px 40px',
+        borderRadius: '16px',
+        border: '3px solid #ff6b35',
+        boxShadow: '0 20px 80px rgba(0,0,0,0.9)',
+        backdropFilter: 'blur(10px)'
       }}>
-        <h2 className="password-title" style={{ 
-          color: '#ff6b35', marginTop: 0, fontSize: '48px',
-          fontFamily: 'Creepster, cursive',
-          textShadow: '0 0 30px rgba(255,107,53,0.8)',
-          letterSpacing: '4px', marginBottom: '12px'
-        }}>ECHOES OF THE ESTATE</h2>
-        <p className="password-subtitle" style={{ color: '#9d7cc1', fontSize: '13px', fontFamily: 'monospace',
-          letterSpacing: '2px', marginBottom: '24px', textTransform: 'uppercase'
-        }}>The Haunted Mansion Awaits</p>
-        <p className="password-description" style={{ color: '#e0d4f7', marginBottom: '32px', lineHeight: '1.7',
-          fontFamily: 'Special Elite, cursive', fontSize: '15px'
-        }}>Eleanor's melancholic presence lingers in every shadow. Enter the password to unlock the mysteries.</p>
-        <input type="password" value={password}
-          onChange={(e) => setPassword(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
-          placeholder="Enter password..." disabled={isVerifying}
-          className="password-input"
-          style={{
-            width: '100%', padding: '18px',
-            background: 'linear-gradient(135deg, rgba(13,2,33,0.9), rgba(26,11,46,0.9))',
-            border: error ? '2px solid #ff6b6b' : '2px solid #8b008b',
-            borderRadius: '10px', color: '#e0d4f7', fontSize: '18px',
-            marginBottom: '16px', boxSizing: 'border-box',
-            fontFamily: 'Special Elite, cursive'
-          }} />
-        {error && (
-          <div style={{
-            color: '#ff6b6b', fontSize: '14px', marginBottom: '16px',
-            padding: '12px', background: 'rgba(255,107,107,0.15)',
-            borderRadius: '8px', border: '1px solid #ff6b6b'
-          }}>{error}</div>
-        )}
-        <button onClick={handleSubmit} disabled={isVerifying}
-          className="password-button"
-          style={{
-            width: '100%', padding: '18px',
-            background: isVerifying ? 'linear-gradient(135deg, #555, #333)' : 'linear-gradient(135deg, #ff6b35, #ff8c61)',
-            color: '#fff', border: 'none', borderRadius: '10px',
-            cursor: isVerifying ? 'not-allowed' : 'pointer',
-            fontSize: '20px', fontWeight: 'bold',
-            fontFamily: 'Creepster, cursive', letterSpacing: '3px'
-          }}>{isVerifying ? 'SUMMONING...' : 'UNLOCK THE GATES'}</button>
-        <p style={{ color: '#9d7cc1', fontSize: '13px', marginTop: '24px',
-          marginBottom: 0, fontFamily: 'monospace', opacity: 0.8
-        }}>Hint: echoes + the current year</p>
+        <p style={{ color: '#9d7cc1', fontSize: '14px', letterSpacing: '2px', marginTop: 0 }}>{t('ending.theEnd')}</p>
+        <h1 style={{
+          color: '#ff6b35', fontSize: '48px', marginBottom: '24px',
+          textShadow: '0 0 40px rgba(255,107,53,1)',
+          fontFamily: 'Creepster, cursive', letterSpacing: '3px', marginTop: 0
+        }}>{t(`ending.${ending.id}.title`)}</h1>
+        <p style={{ color: '#e0d4f7', fontSize: '17px', lineHeight: 1.6, marginBottom: '32px' }}>
+          {t(`ending.${ending.id}.description`)}
+        </p>
+        <div style={{
+          padding: '20px', marginBottom: '32px', borderRadius: '12px',
+          background: 'rgba(13,2,33,0.6)', border: '2px solid #8b008b', textAlign: 'left'
+        }}>
+          {summary.map(([label, value]) => (
+            <div key={label} style={{
+              display: 'flex', justifyContent: 'space-between', gap: '16px',
+              padding: '6px 0', fontSize: '14px', color: '#e0d4f7'
+            }}>
+              <span style={{ color: '#9d7cc1' }}>{label}</span>
+              <span>{value}</span>
+            </div>
+          ))}
+        </div>
+        <button onClick={onReplay} style={{
+          padding: '22px 56px', background: 'linear-gradient(135deg, #ff6b35, #ff8c61)',
+          color: '#fff', border: 'none', borderRadius: '12px',
+          fontSize: '24px', fontWeight: 'bold',
+          fontFamily: 'Creepster, cursive', cursor: 'pointer'
+        }}>{t('ending.replay')}</button>
       </div>
     </div>
   );
@@ -393,13 +3173,40 @@ const App = () => {
 };
 
 const AppContent = () => {
-  const { addMessage, isAuthenticated, demoServerStatus, conversationHistory,
-    isLoading, setIsLoading, demoPassword, currentRoom, ROOMS, ghostTrust,
-    adjustTrust, moveToRoom, isMusicMuted, toggleMute, startMusic } = useGameState();
+  const { addMessage, updateMessage, previewMessage, beginGhostReply, finishGhostReply, cancelGhostReply,
+    isAuthenticated, demoServerStatus, checkDemoServer, conversationHistory, isLoading, setIsLoading, removeMessage,
+    sessionExpired, resumeSession, getAuthHeaders, expireSession, logout,
+    beginTurn, undoTurn,
+    currentRoom, ROOMS, ITEMS, SPIRITS, spiritTrust, adjustTrust, trustHistory, moveToRoom, travelTo, recordVisit,
+    isMusicMuted, toggleMute, audioVolumes, changeVolume, startMusic, playSfx, saveSlots, loadGame,
+    voicesOn, voiceState, toggleVoices, speakMessage,
+    highContrast, reducedMotion, reduceMotionPref, prefersReducedMotion, toggleDisplayPref, locale, changeLocale, t,
+    inventory, getRoomItems, takeItem, giveItem, getPaths, activeSpirit, spiritEmotions, setSpiritEmotion,
+    addressSpirit, getSpiritHistory, getSpiritMemory, applyGhostEvents, examineFeature, recordAnswer,
+    chapter, objectives, ending, journal, leaveMansion, resetGame, addNotice, party, seance, seancePlayer, canLead
+  } = useGameState();
   const [hasStarted, setHasStarted] = useState(false);
   const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [showSavePanel, setShowSavePanel] = useState(false);
+  const [showMap, setShowMap] = useState(false);
+  const [showSoundPanel, setShowSoundPanel] = useState(false);
+  const [showAccessPanel, setShowAccessPanel] = useState(false);
+  const [showTranscriptPanel, setShowTranscriptPanel] = useState(false);
+  const [showMemoryPanel, setShowMemoryPanel] = useState(false);
+  const [showTimeline, setShowTimeline] = useState(false);
+  const [showJournal, setShowJournal] = useState(false);
+  const [showSeance, setShowSeance] = useState(false);
+  const [transcriptReplay, setTranscriptReplay] = useState(null);
+  const [pendingSlot, setPendingSlot] = useState(null);
+  const [suggestedActions, setSuggestedActions] = useState([]);
+  const [lightsFlickering, setLightsFlickering] = useState(false);
   const [input, setInput] = useState('');
-  const [backgroundImage, setBackgroundImage] = useState(ROOMS.entrance.background);
+  const [backgroundImage, setBackgroundImage] = useState(ROOMS[mansion.startRoom].background);
+  const roomHeadingRef = useRef(null);
+  const chatInputRef = useRef(null);
+  const dictation = useSpeechRecognition(locale, heard => setInput(heard));
+  // A room in the address bar waits for the start flow, then is walked to once the game is under way
+  const linkedRoomRef = useRef(roomFromPath(window.location.pathname));
 
   useEffect(() => {
     if (isAuthenticated && ROOMS[currentRoom]) {
@@ -407,53 +3214,411 @@ const AppContent = () => {
     }
   }, [currentRoom, isAuthenticated, ROOMS]);
 
-  const handleInitialClick = () => {
+  // The path button that was clicked disappears with the old room, so keyboard focus moves to the new room's name
+  useEffect(() => {
+    if (roomHeadingRef.current && document.activeElement === document.body) roomHeadingRef.current.focus();
+  }, [currentRoom]);
+
+  const handleInitialClick = (slotId = null) => {
     startMusic();
+    if (resumeSession()) {
+      startGame(slotId);
+      return;
+    }
+    setPendingSlot(slotId);
     setShowPasswordModal(true);
   };
 
-  const startGame = () => {
+  const leave = () => {
+    logout();
+    window.history.pushState(null, '', roomUrl(null));
+    setHasStarted(false);
+    setShowPasswordModal(false);
+    setSuggestedActions([]);
+    setTranscriptReplay(null);
+  };
+
+  // Checked before anything is sent so a lapsed session re-prompts instead of failing on the server
+  const ensureSession = () => {
+    if (getAuthHeaders()) return true;
+    expireSession();
+    return false;
+  };
+
+  const replay = () => {
+    resetGame();
+    setSuggestedActions([]);
+    setHasStarted(false);
+  };
+
+  const flee = () => {
+    if (!leaveMansion()) addMessage('system', t('message.doorStuck'));
+  };
+
+  const startGame = (slotId = pendingSlot) => {
     setHasStarted(true);
+    setPendingSlot(null);
+    if (slotId && loadGame(slotId)) return;
     setBackgroundImage(ROOMS[currentRoom].background);
-    addMessage('system', 'Welcome to Echoes of the Estate. You sense a presence...');
+    recordVisit(currentRoom);
+    addMessage('system', t('message.welcome'));
+  };
+
+  const gameReady = hasStarted && isAuthenticated && conversationHistory.length > 0;
+
+  // Room links and the back and forward buttons walk there through open passages; rooms out of reach are refused
+  // A séance travels together, so one player's back button or room link leaves the shared game where it is
+  const followRoom = (roomId) => {
+    if (roomId === currentRoom) return true;
+    if (party) return false;
+    if (travelTo(roomId)) return true;
+    addNotice(t('route.unreachable', { room: t(`room.${roomId}.name`) }));
+    return false;
+  };
+
+  const followHistory = (roomId) => {
+    if (!gameReady) {
+      linkedRoomRef.current = roomId;
+      return;
+    }
+    if (transcriptReplay || !followRoom(roomId)) window.history.replaceState({ room: currentRoom }, '', roomUrl(currentRoom));
+  };
+
+  // Effects registered once must call this render's handlers rather than the ones they closed over
+  const followRoomRef = useRef(followRoom);
+  followRoomRef.current = followRoom;
+  const followHistoryRef = useRef(followHistory);
+  followHistoryRef.current = followHistory;
+
+  // Every move pushes a history entry. The first room of a game, and a link that could not be followed, replace the
+  // entry they were opened on instead
+  useEffect(() => {
+    if (!gameReady) return;
+    const linked = linkedRoomRef.current;
+    linkedRoomRef.current = null;
+    if (linked && linked !== currentRoom && followRoomRef.current(linked)) return;
+    const shown = roomFromPath(window.location.pathname);
+    if (shown === currentRoom) return;
+    if (shown && !linked) window.history.pushState({ room: currentRoom }, '', roomUrl(currentRoom));
+    else window.history.replaceState({ room: currentRoom }, '', roomUrl(currentRoom));
+  }, [gameReady, currentRoom]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const roomId = roomFromPath(window.location.pathname);
+      if (roomId) followHistoryRef.current(roomId);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const headerButtonStyle = {
+    padding: '12px 20px',
+    background: 'linear-gradient(135deg, rgba(139,0,139,0.8), rgba(75,0,130,0.8))',
+    color: '#ffd700', border: '2px solid #8b008b',
+    borderRadius: '8px', cursor: 'pointer',
+    fontSize: '14px', fontWeight: 'bold'
+  };
+
+  const spiritsHere = getSpiritsInRoom(currentRoom);
+  const lastMessage = conversationHistory[conversationHistory.length - 1];
+  const announcement = lastMessage && lastMessage.role !== 'user' && !lastMessage.streaming
+    ? `${lastMessage.role === 'assistant' ? SPIRITS[lastMessage.spirit || DEFAULT_SPIRIT].name : t('chat.system')}: ${lastMessage.content}`
+    : '';
+  const activeTrust = spiritTrust[activeSpirit];
+  const lastTrustChange = trustHistory.filter(entry => entry.spirit === activeSpirit).slice(-1)[0];
+
+
+  // Imported transcripts are revealed one message at a time, or all at once under reduced motion
+  useEffect(() => {
+    if (!transcriptReplay || transcriptReplay.shown >= transcriptReplay.transcript.messages.length) return;
+    const timeout = setTimeout(() => setTranscriptReplay(prev => prev && { ...prev, shown: prev.shown + 1 }), TRANSCRIPT_CONFIG.REPLAY_DELAY);
+    return () => clearTimeout(timeout);
+  }, [transcriptReplay]);
+
+  const startTranscriptReplay = (transcript) => {
+    setTranscriptReplay({ transcript, shown: reducedMotion ? transcript.messages.length : 1 });
   };
 
-  const sendMessage = async () => {
-    if (!input.trim() || isLoading) return;
-    const userMessage = input.trim();
+  const shownMessages = transcriptReplay ? transcriptReplay.transcript.messages.slice(0, transcriptReplay.shown) : conversationHistory;
+
+  useEffect(() => {
+    if (!lightsFlickering) return;
+    const timeout = setTimeout(() => setLightsFlickering(false), 2000);
+    return () => clearTimeout(timeout);
+  }, [lightsFlickering]);
+
+  const sendMessage = async (text = input) => {
+    if (!text.trim() || transcriptReplay) return;
+    const userMessage = text.trim();
     setInput('');
-    addMessage('user', userMessage);
+    beginTurn(userMessage);
+    if (runCommand(userMessage)) return;
+    if (!ensureSession()) {
+      setInput(userMessage);
+      return;
+    }
+    await sendToSpirit(userMessage);
+  };
+
+  // While the server is unreachable messages wait in the conversation and are sent, in order, once it answers
+  const sendToSpirit = async (text, itemUse = null, spiritId = activeSpirit) => {
+    if (demoServerStatus.checked && !demoServerStatus.online) {
+      addMessage('user', text, { spirit: spiritId, queued: true, ...(itemUse ? { itemUse } : {}) });
+      return;
+    }
+    await speakToGhost(text, itemUse, spiritId);
+  };
+
+  const retryMessage = (message) => {
+    beginTurn(message.content);
+    removeMessage(message.id);
+    sendToSpirit(message.content, message.itemUse || null, message.spirit);
+  };
+
+  // Handles text-adventure commands locally. Returns false when the text should be spoken to a spirit instead.
+  const runCommand = (text) => {
+    const command = parseCommand(text);
+    if (!command) return false;
+    const { verb, target } = command;
+    const roomName = roomId => t(`room.${roomId}.name`);
+    const itemName = itemId => t(`item.${itemId}.name`);
+    const itemNames = itemIds => itemIds.map(id => ({ id, names: [id, ITEMS[id].name, itemName(id)] }));
+    const echo = () => addMessage('user', text, { command: true });
+
+    if (verb === 'undo') {
+      if (party) addNotice(t('seance.noUndo'));
+      else if (!undoTurn()) addMessage('system', t('timeline.nothingToUndo'));
+      return true;
+    }
+
+    if (verb === 'go') {
+      const roomId = findBestMatch(target, ROOM_NAMES.map(({ id, names }) => ({ id, names: [...names, roomName(id)] })));
+      if (target && !roomId) return false;
+      echo();
+      if (!roomId) {
+        addMessage('system', t('command.goWhere'));
+      } else if (roomId === currentRoom) {
+        addMessage('system', t('command.alreadyHere', { room: roomName(roomId) }));
+      } else if (!getPaths(currentRoom).some(({ to }) => to === roomId)) {
+        addMessage('system', t('command.unreachable', { room: roomName(roomId) }));
+      } else {
+        moveToRoom(roomId);
+      }
+      return true;
+    }
+
+    if (verb === 'take') {
+      const itemId = findBestMatch(target, itemNames(getRoomItems(currentRoom)));
+      if (target && !itemId) return false;
+      echo();
+      if (!itemId) addMessage('system', t('command.takeWhat'));
+      else takeItem(itemId);
+      return true;
+    }
+
+    if (verb === 'give' || verb === 'show') {
+      const [itemTarget, spiritTarget] = target.split(/\s+to\s+/);
+      const itemId = findBestMatch(itemTarget, itemNames(inventory));
+      const spiritId = spiritTarget ? findBestMatch(spiritTarget, spiritsHere.map(({ id, name }) => ({ id, names: [id, name] }))) : activeSpirit;
+      if (!itemId || !spiritId) return false;
+      if (isLoading) {
+        echo();
+        addMessage('system', t('command.stillSpeaking'));
+      } else {
+        presentItem(itemId, verb, spiritId);
+      }
+      return true;
+    }
+
+    if (verb === 'address') {
+      const spiritId = findBestMatch(target, Object.values(SPIRITS).map(({ id, name }) => ({ id, names: [id, name] })));
+      if (!spiritId) return false;
+      echo();
+      if (addressSpirit(spiritId)) addMessage('system', t('command.addressed', { spirit: SPIRITS[spiritId].name }));
+      else addMessage('system', t('command.absent', { spirit: SPIRITS[spiritId].name }));
+      return true;
+    }
+
+    // "Look at me" names nothing here, so it is speech for the spirit rather than a failed command
+    if (verb === 'examine') {
+      const found = findExamineTarget(target, currentRoom, [...getRoomItems(currentRoom), ...inventory], t);
+      if (target && !found) return false;
+      echo();
+      if (!found) {
+        addMessage('system', t('command.examineWhat'));
+      } else if (found.featureId) {
+        addMessage('system', t(`room.${currentRoom}.feature.${found.featureId}`));
+        examineFeature(found.featureId);
+      } else {
+        addMessage('system', t(`item.${found.itemId}.description`));
+      }
+      return true;
+    }
+
+    echo();
+    if (verb === 'look') {
+      const items = getRoomItems(currentRoom).map(itemName);
+      const paths = getPaths(currentRoom).map(({ to, open }) => open ? roomName(to) : t('command.locked', { room: roomName(to) }));
+      addMessage('system', [
+        `${roomName(currentRoom)}. ${t(`room.${currentRoom}.description`)}`,
+        spiritsHere.length > 0 ? t('command.present', { spirits: spiritsHere.map(({ name }) => name).join(', ') }) : '',
+        items.length > 0 ? t('command.notice', { items: items.join(', ') }) : '',
+        t('command.paths', { paths: paths.join(', ') })
+      ].filter(Boolean).join(' '));
+    } else if (verb === 'inventory') {
+      addMessage('system', inventory.length > 0
+        ? t('command.carrying', { items: inventory.map(itemName).join(', ') })
+        : t('inventory.empty'));
+    } else if (verb === 'leave') {
+      if (currentRoom !== mansion.startRoom) addMessage('system', t('command.frontDoor', { room: roomName(mansion.startRoom) }));
+      else flee();
+    } else if (verb === 'help') {
+      addMessage('system', t('command.help'));
+    }
+    return true;
+  };
+
+  const presentItem = async (itemId, action, spiritId = activeSpirit) => {
+    if (isLoading || !ensureSession()) return;
+    const text = t(action === 'give' ? 'chat.offer' : 'chat.show', { spirit: SPIRITS[spiritId].name, item: t(`item.${itemId}.name`) });
+    beginTurn(text);
+    if (action === 'give' && !giveItem(itemId, spiritId)) return;
+    await sendToSpirit(text, { itemId, action }, spiritId);
+  };
+
+  const speakToGhost = async (userMessage, itemUse = null, spiritId = activeSpirit) => {
+    const spirit = SPIRITS[spiritId];
+    const controller = beginGhostReply();
+    const spiritHistory = getSpiritHistory(spiritId);
+    const userMessageId = addMessage('user', userMessage, { spirit: spiritId, ...(itemUse ? { itemUse } : {}) });
+    setSuggestedActions([]);
     setIsLoading(true);
+    let streamedMessageId = null;
+    let streamedText = '';
+    const fail = (key) => {
+      updateMessage(userMessageId, { failed: true });
+      addMessage('system', t(key));
+      checkDemoServer();
+    };
 
     try {
-      const systemPrompt = `You are Eleanor Ashford's ghost, died 1892. Melancholic, elegant, archaic speech. Room: ${ROOMS[currentRoom].name}. Trust: ${ghostTrust}/100. Be atmospheric, 2-4 sentences.`;
+      const heldItems = inventory.filter(id => !itemUse || id !== itemUse.itemId).map(id => ITEMS[id].name);
+      const itemContext = [
+        heldItems.length > 0 ? `Visitor carries: ${heldItems.join(', ')}.` : '',
+        itemUse ? `Visitor ${itemUse.action === 'give' ? 'gives' : 'shows'} you the ${ITEMS[itemUse.itemId].name} (${ITEMS[itemUse.itemId].description}); react to it.` : ''
+      ].filter(Boolean).join(' ');
+      const otherSpirits = spiritsHere.filter(({ id }) => id !== spiritId).map(({ name }) => name);
+      // Several visitors share a séance, so the spirit is told who is there and who said what
+      const visitors = party ? party.players.map(({ name }) => name) : [];
+      const speaker = (message) => message.role === 'user' && message.author ? `${message.author.name}: ${message.content}` : message.content;
+      const openObjectives = objectives.filter(({ done }) => !done).map(({ text }) => text);
+      const storyContext = [
+        `Chapter: ${STORY.chapters[getChapterIndex(chapter)].title}.`,
+        openObjectives.length > 0 ? `The visitor still needs to: ${openObjectives.join('; ')}. Hint at these in character; never list them.` : ''
+      ].filter(Boolean).join(' ');
+      const { language } = LOCALES[locale];
+      const systemPrompt = [
+        `You are ${spirit.persona}. ${spirit.backstory} ${spirit.speechStyle}`,
+        `Room: ${ROOMS[currentRoom].name}. Trust: ${spiritTrust[spiritId]}/100.`,
+        otherSpirits.length > 0 ? `Also present: ${otherSpirits.join(', ')}.` : '',
+        visitors.length > 1 ? `${visitors.length} visitors are here together: ${visitors.join(', ')}. Each of their messages starts with their name.` : '',
+        storyContext,
+        memoryPrompt(getSpiritMemory(spiritId), spirit.name),
+        lorePrompt(journal),
+        itemContext,
+        `The visitor speaks ${language}; always reply in ${language}.`,
+        'Be atmospheric, 2-4 sentences.'
+      ].filter(Boolean).join(' ');
       const messages = [
         { role: 'system', content: systemPrompt },
-        ...conversationHistory.filter(m => m.role !== 'system').slice(-10),
-        { role: 'user', content: userMessage }
+        ...spiritHistory.slice(-MEMORY_CONFIG.RECENT_MESSAGES).map(message => ({ role: message.role, content: speaker(message) })),
+        { role: 'user', content: seancePlayer ? speaker({ role: 'user', author: seancePlayer, content: userMessage }) : userMessage }
       ];
 
-      const response = await fetch(`${API_CONFIG.DEMO_SERVER}/api/chat`, {
+      const response = await apiFetch('/api/chat', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'X-Demo-Password': demoPassword },
-        body: JSON.stringify({ messages })
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream, application/json',
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify({ messages, room: currentRoom, spirit: spiritId, stream: true }),
+        signal: controller.signal
       });
 
       if (response.ok) {
-        const data = await response.json();
-        addMessage('assistant', data.message);
-        if (userMessage.toLowerCase().match(/sorry|help|comfort/)) adjustTrust(5);
+        const contentType = response.headers.get('Content-Type') || '';
+        let reply;
+        if (response.body && !contentType.includes('application/json')) {
+          playSfx('whisper');
+          streamedMessageId = addMessage('assistant', '', { spirit: spiritId, streaming: true, streamed: true });
+          const finalReply = await readGhostStream(response, token => {
+            streamedText += token;
+            previewMessage(streamedMessageId, { content: streamedText });
+          });
+          reply = parseGhostReply(finalReply || streamedText);
+          if (!reply.text) reply.text = streamedText;
+          updateMessage(streamedMessageId, {
+            content: reply.text, streaming: false,
+            ...(reply.emotion ? { emotion: reply.emotion } : {}),
+            ...(reply.memories.length > 0 ? { memories: reply.memories } : {})
+          });
+          speakMessage(streamedMessageId, spiritId, reply.text);
+        } else {
+          reply = parseGhostReply(await response.json());
+          playSfx('whisper');
+          const replyId = addMessage('assistant', reply.text, {
+            spirit: spiritId,
+            ...(reply.emotion ? { emotion: reply.emotion } : {}),
+            ...(reply.memories.length > 0 ? { memories: reply.memories } : {})
+          });
+          speakMessage(replyId, spiritId, reply.text);
+        }
+        const { delta, reasons } = scoreExchange({
+          userMessage,
+          ghostMessage: reply.text,
+          previousUserMessages: spiritHistory.filter(m => m.role === 'user').map(m => m.content),
+          trust: spiritTrust[spiritId],
+          signals: { sentiment: reply.sentiment, trustDelta: reply.trustDelta }
+        });
+        adjustTrust(delta, reasons, spiritId);
+        if (reply.emotion) setSpiritEmotion(spiritId, reply.emotion);
+        setSuggestedActions(reply.suggestedActions);
+        applyGhostEvents(reply.events, spiritId);
+        recordAnswer(spiritId, reply.text);
+        if (reply.events.some(event => event.type === 'flicker_lights')) setLightsFlickering(true);
+      } else if (response.status === 401 || response.status === 403) {
+        updateMessage(userMessageId, { undelivered: true });
+        if (!itemUse) setInput(prev => prev || userMessage);
+        expireSession();
       } else {
-        addMessage('system', 'Error connecting to ghost...');
+        fail('message.connectionError');
       }
     } catch (error) {
-      addMessage('system', `Error: ${error.message}`);
+      if (streamedMessageId) updateMessage(streamedMessageId, { content: streamedText, streaming: false, interrupted: true });
+      if (error.name !== 'AbortError') fail(error.name === 'TimeoutError' ? 'message.timeout' : 'message.connectionError');
     } finally {
-      setIsLoading(false);
+      finishGhostReply(controller);
     }
   };
 
+  // The queue is drained by an effect, which must call this render's speakToGhost rather than the one it closed over
+  const speakToGhostRef = useRef(speakToGhost);
+  speakToGhostRef.current = speakToGhost;
+  // In a séance each player only sends on their own queued messages
+  const isOwnMessage = (message) => !message.author || !seancePlayer || message.author.id === seancePlayer.id;
+  const nextQueued = conversationHistory.find(message => message.queued && isOwnMessage(message));
+  const queuedCount = conversationHistory.filter(message => message.queued && isOwnMessage(message)).length;
+
+  useEffect(() => {
+    if (!nextQueued || !demoServerStatus.online || isLoading || sessionExpired) return;
+    removeMessage(nextQueued.id);
+    speakToGhostRef.current(nextQueued.content, nextQueued.itemUse || null, nextQueued.spirit);
+  }, [nextQueued, demoServerStatus.online, isLoading, sessionExpired, removeMessage]);
+
   if (!showPasswordModal && !isAuthenticated) {
+    const savedGames = saveSlots.filter(({ save }) => save);
     return (
       <div style={{
         minHeight: '100vh',
@@ -470,6 +3635,7 @@ const AppContent = () => {
       }}>
         <link href="https://fonts.googleapis.com/css2?family=Creepster&family=Special+Elite&display=swap" rel="stylesheet" />
         <style>{`
+          ${FOCUS_CSS}
           @keyframes pulse {
             0%, 100% { transform: scale(1); }
             50% { transform: scale(1.02); }
@@ -500,7 +3666,7 @@ const AppContent = () => {
           border: '3px solid #ff6b35',
           boxShadow: '0 20px 80px rgba(0,0,0,0.9)',
           backdropFilter: 'blur(10px)',
-          animation: 'pulse 2s ease-in-out infinite'
+          animation: reducedMotion ? 'none' : 'pulse 2s ease-in-out infinite'
         }}>
           <h1 className="initial-title" style={{
             color: '#ff6b35',
@@ -510,15 +3676,15 @@ const AppContent = () => {
             fontFamily: 'Creepster, cursive',
             letterSpacing: '4px',
             marginTop: 0
-          }}>ECHOES OF THE ESTATE</h1>
+          }}>{t('app.title')}</h1>
           <p className="initial-subtitle" style={{
             color: '#ffd700',
             fontSize: '24px',
             fontFamily: 'Creepster, cursive',
             letterSpacing: '2px',
             marginBottom: '48px'
-          }}>Eleanor's Mansion Awaits...</p>
-          <button onClick={handleInitialClick} className="initial-button" style={{
+          }}>{t('start.tagline')}</p>
+          <button onClick={() => handleInitialClick()} className="initial-button" style={{
             padding: '28px 72px',
             background: 'linear-gradient(135deg, #ff6b35, #ff8c61)',
             color: '#fff',
@@ -533,6 +3699,7 @@ const AppContent = () => {
             transition: 'all 0.3s ease'
           }}
           onMouseOver={(e) => {
+            if (reducedMotion) return;
             e.target.style.transform = 'scale(1.05)';
             e.target.style.boxShadow = '0 15px 40px rgba(255,107,53,0.7)';
           }}
@@ -540,15 +3707,44 @@ const AppContent = () => {
             e.target.style.transform = 'scale(1)';
             e.target.style.boxShadow = '0 10px 30px rgba(255,107,53,0.5)';
           }}>
-            APPROACH THE MANSION
+            {t('start.approach')}
           </button>
+          <div style={{ marginTop: '24px', display: 'flex', gap: '8px', justifyContent: 'center' }}
+            role="group" aria-label={t('start.language')}>
+            {Object.entries(LOCALES).map(([code, { name }]) => (
+              <button key={code} onClick={() => changeLocale(code)} aria-pressed={code === locale} lang={code} style={{
+                padding: '8px 16px',
+                background: code === locale ? 'rgba(255,107,53,0.3)' : 'rgba(13,2,33,0.8)',
+                color: code === locale ? '#ffd700' : '#9d7cc1',
+                border: `2px solid ${code === locale ? '#ff6b35' : '#8b008b'}`, borderRadius: '16px',
+                cursor: 'pointer', fontSize: '14px', fontFamily: 'Special Elite, cursive'
+              }}>{name}</button>
+            ))}
+          </div>
+          {savedGames.length > 0 && (
+            <div style={{ marginTop: '32px' }}>
+              {savedGames.map(({ slotId, save }) => (
+                <button key={slotId} onClick={() => handleInitialClick(slotId)} style={{
+                  display: 'block', width: '100%', marginTop: '12px', padding: '14px 20px',
+                  background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+                  color: '#ffd700', border: '2px solid #8b008b', borderRadius: '10px',
+                  cursor: 'pointer', textAlign: 'left', fontFamily: 'Special Elite, cursive'
+                }}>
+                  <div style={{ fontSize: '16px' }}>
+                    {slotId === SAVE_CONFIG.AUTOSAVE_SLOT ? t('start.continue') : t('start.load', { name: save.name })}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#9d7cc1', marginTop: '4px' }}>{describeSave(save, t)}</div>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
     );
   }
 
   if (showPasswordModal && !isAuthenticated) {
-    return <PasswordModal onSuccess={startGame} show={showPasswordModal} />;
+    return <PasswordModal onSuccess={() => startGame()} show={showPasswordModal} />;
   }
 
   if (!hasStarted) {
@@ -577,27 +3773,31 @@ const AppContent = () => {
             color: '#ff6b35', fontSize: '64px', marginBottom: '16px',
             textShadow: '0 0 40px rgba(255,107,53,1)',
             fontFamily: 'Creepster, cursive', letterSpacing: '4px', marginTop: 0
-          }}>ECHOES OF THE ESTATE</h1>
+          }}>{t('app.title')}</h1>
           <p style={{ color: '#ffd700', fontSize: '22px',
             fontFamily: 'Creepster, cursive', letterSpacing: '2px'
-          }}>An AI-Powered Ghost Story</p>
+          }}>{t('intro.subtitle')}</p>
           <p style={{ color: '#e0d4f7', fontSize: '17px', marginBottom: '40px' }}>
-            Explore a haunted mansion and communicate with Eleanor Ashford's melancholic spirit.
+            {t('intro.description')}
           </p>
           {demoServerStatus.checked && (
             <div style={{
               padding: '20px', marginBottom: '32px', borderRadius: '12px',
-              background: demoServerStatus.online ? 'rgba(76,175,80,0.15)' : 'rgba(255,107,107,0.15)',
-              border: `2px solid ${demoServerStatus.online ? '#4caf50' : '#ff6b6b'}`,
-              color: demoServerStatus.online ? '#4caf50' : '#ff6b6b'
-            }}>{demoServerStatus.online ? 'SPIRITS ACTIVE' : 'SERVER OFFLINE'}</div>
+              background: demoServerStatus.online ? 'rgba(76,175,80,0.15)' : demoServerStatus.waking ? 'rgba(255,215,0,0.1)' : 'rgba(255,107,107,0.15)',
+              border: `2px solid ${demoServerStatus.online ? '#4caf50' : demoServerStatus.waking ? '#ffd700' : '#ff6b6b'}`,
+              color: demoServerStatus.online ? '#4caf50' : demoServerStatus.waking ? '#ffd700' : '#ff6b6b'
+            }}>
+              {demoServerStatus.online
+                ? (demoServerStatus.mode === 'mock' ? t('intro.spiritsActiveMock') : t('intro.spiritsActive'))
+                : demoServerStatus.waking ? t('intro.serverWaking') : t('intro.serverOffline')}
+            </div>
           )}
-          <button onClick={startGame} style={{
+          <button onClick={() => startGame()} style={{
             padding: '22px 56px', background: 'linear-gradient(135deg, #ff6b35, #ff8c61)',
             color: '#fff', border: 'none', borderRadius: '12px',
             fontSize: '24px', fontWeight: 'bold',
             fontFamily: 'Creepster, cursive', cursor: 'pointer'
-          }}>ENTER THE MANSION</button>
+          }}>{t('intro.enter')}</button>
           <div style={{ marginTop: '48px', padding: '16px',
             background: 'rgba(139,0,139,0.15)', borderRadius: '8px'
           }}>
@@ -610,6 +3810,10 @@ const AppContent = () => {
     );
   }
 
+  if (ending) {
+    return <EndingScreen onReplay={replay} />;
+  }
+
   return (
     <div style={{
       minHeight: '100vh', 
@@ -619,10 +3823,20 @@ const AppContent = () => {
       backgroundAttachment: 'fixed',
       padding: '20px', 
       fontFamily: 'Special Elite, cursive',
-      transition: 'background-image 0.5s ease-in-out'
-    }}>
+      transition: reducedMotion ? 'none' : 'background-image 0.5s ease-in-out',
+      animation: lightsFlickering && !reducedMotion ? 'flicker 2s linear' : 'none'
+    }} className={highContrast ? 'high-contrast' : undefined}>
       <link href="https://fonts.googleapis.com/css2?family=Creepster&family=Special+Elite&display=swap" rel="stylesheet" />
+      <AtmosphereLayer />
+      {sessionExpired && <PasswordModal show expired onSuccess={() => chatInputRef.current && chatInputRef.current.focus()} onLeave={leave} />}
       <style>{`
+        ${FOCUS_CSS}
+        ${highContrast ? HIGH_CONTRAST_CSS : ''}
+        @keyframes flicker {
+          0%, 18%, 22%, 52%, 56%, 100% { filter: brightness(1); }
+          20%, 54% { filter: brightness(0.3); }
+          35% { filter: brightness(0.7); }
+        }
         @media (max-width: 768px) {
           .game-container {
             padding: 10px !important;
@@ -644,6 +3858,10 @@ const AppContent = () => {
             margin-top: 12px !important;
             justify-content: center !important;
           }
+          .chapter-panel {
+            padding: 12px 16px !important;
+            margin-bottom: 16px !important;
+          }
           .room-panel {
             padding: 16px !important;
             margin-bottom: 16px !important;
@@ -658,10 +3876,14 @@ const AppContent = () => {
             padding: 10px 16px !important;
             font-size: 12px !important;
           }
-          .trust-panel {
-            padding: 16px !important;
+          .status-row {
+            flex-direction: column !important;
+            gap: 16px !important;
             margin-bottom: 16px !important;
           }
+          .trust-panel, .inventory-panel {
+            padding: 16px !important;
+          }
           .chat-box {
             height: 300px !important;
             padding: 16px !important;
@@ -681,6 +3903,14 @@ const AppContent = () => {
           }
         }
       `}</style>
+      <a href="#chat-input" className="visually-hidden" onClick={(e) => {
+        e.preventDefault();
+        chatInputRef.current.focus();
+      }} style={{
+        position: 'fixed', top: '8px', left: '8px', zIndex: 1000, padding: '10px 16px',
+        background: '#0d0221', color: '#ffd700', border: '2px solid #ffd700', borderRadius: '8px'
+      }}>{t('access.skipToChat')}</a>
+      <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
       <div className="game-container" style={{ maxWidth: '1000px', margin: '0 auto' }}>
         <header className="game-header" style={{
           textAlign: 'center', marginBottom: '32px', padding: '24px',
@@ -691,70 +3921,297 @@ const AppContent = () => {
           <h1 style={{
             color: '#ff6b35', fontSize: '48px', margin: 0,
             fontFamily: 'Creepster, cursive', letterSpacing: '3px'
-          }}>ECHOES OF THE ESTATE</h1>
+          }}>{t('app.title')}</h1>
           
           <div className="mute-button" style={{
-            position: 'absolute', top: '24px', right: '24px',
-            display: 'flex', gap: '12px', alignItems: 'center'
+            display: 'flex', gap: '12px', alignItems: 'center',
+            justifyContent: 'center', flexWrap: 'wrap', marginTop: '16px'
           }}>
-            <button onClick={toggleMute} style={{
-              padding: '12px 20px',
-              background: 'linear-gradient(135deg, rgba(139,0,139,0.8), rgba(75,0,130,0.8))',
-              color: '#ffd700', border: '2px solid #8b008b',
-              borderRadius: '8px', cursor: 'pointer',
-              fontSize: '14px', fontWeight: 'bold'
-            }}>
-              {isMusicMuted ? '🔇 UNMUTE' : '🔊 MUTE'}
+            <button onClick={toggleMute} aria-pressed={isMusicMuted} style={headerButtonStyle}>
+              {isMusicMuted ? t('header.unmute') : t('header.mute')}
+            </button>
+            {SPEECH_SUPPORT.synthesis && (
+              <button onClick={toggleVoices} aria-pressed={voicesOn} title={t('header.voicesDetail')} style={headerButtonStyle}>
+                {voicesOn ? t('header.voicesOff') : t('header.voicesOn')}
+              </button>
+            )}
+            {SPEECH_SUPPORT.recognition && (
+              <button
+                onPointerDown={dictation.start}
+                onPointerUp={dictation.stop}
+                onPointerLeave={dictation.stop}
+                onKeyDown={e => (e.key === ' ' || e.key === 'Enter') && !e.repeat && dictation.start()}
+                onKeyUp={e => (e.key === ' ' || e.key === 'Enter') && dictation.stop()}
+                disabled={!!transcriptReplay}
+                aria-pressed={dictation.listening}
+                title={t('header.listenDetail')}
+                style={headerButtonStyle}
+              >
+                {dictation.listening ? t('header.listening') : t('header.listen')}
+              </button>
+            )}
+            <button onClick={() => setShowSoundPanel(prev => !prev)} aria-expanded={showSoundPanel} style={headerButtonStyle}>
+              {t('header.sound')}
+            </button>
+            <button onClick={() => setShowAccessPanel(prev => !prev)} aria-expanded={showAccessPanel} style={headerButtonStyle}>
+              {t('header.access')}
+            </button>
+            <button onClick={() => setShowMap(prev => !prev)} aria-expanded={showMap} style={headerButtonStyle}>
+              {t('header.map')}
+            </button>
+            <button onClick={() => setShowSavePanel(prev => !prev)} aria-expanded={showSavePanel} style={headerButtonStyle}>
+              {t('header.saves')}
+            </button>
+            <button onClick={() => setShowTranscriptPanel(prev => !prev)} aria-expanded={showTranscriptPanel} style={headerButtonStyle}>
+              {t('header.transcript')}
+            </button>
+            <button onClick={() => setShowMemoryPanel(prev => !prev)} aria-expanded={showMemoryPanel} style={headerButtonStyle}>
+              {t('header.memory')}
+            </button>
+            <button onClick={() => setShowTimeline(prev => !prev)} aria-expanded={showTimeline} style={headerButtonStyle}>
+              {t('header.timeline')}
+            </button>
+            <button onClick={() => setShowJournal(prev => !prev)} aria-expanded={showJournal} style={headerButtonStyle}>
+              {t('header.journal')}
+            </button>
+            <button onClick={() => setShowSeance(prev => !prev)} aria-expanded={showSeance} style={headerButtonStyle}>
+              {seance && seance.status === 'open' ? t('header.seanceCode', { code: seance.code }) : t('header.seance')}
+            </button>
+            <button onClick={leave} title={t('header.logoutDetail')} style={headerButtonStyle}>
+              {t('header.logout')}
             </button>
           </div>
+
+          {showAccessPanel && (
+            <div className="access-panel" style={{
+              display: 'flex', gap: '24px', justifyContent: 'center', flexWrap: 'wrap', marginTop: '16px'
+            }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#9d7cc1', fontSize: '13px' }}>
+                <input type="checkbox" checked={highContrast} onChange={() => toggleDisplayPref('highContrast')}
+                  style={{ accentColor: '#ff6b35' }} />
+                {t('access.highContrast')}
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#9d7cc1', fontSize: '13px' }}>
+                <input type="checkbox" checked={reducedMotion} disabled={prefersReducedMotion}
+                  onChange={() => toggleDisplayPref('reduceMotion')} style={{ accentColor: '#ff6b35' }} />
+                {t('access.reduceMotion')}{prefersReducedMotion && !reduceMotionPref ? t('access.systemSetting') : ''}
+              </label>
+            </div>
+          )}
+
+          {showSoundPanel && (
+            <div className="sound-panel" style={{
+              display: 'flex', gap: '24px', justifyContent: 'center', flexWrap: 'wrap', marginTop: '16px'
+            }}>
+              {['music', 'ambience', 'sfx'].map(bus => (
+                <label key={bus} style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#9d7cc1', fontSize: '13px' }}>
+                  {t(`sound.${bus}`)}
+                  <input type="range" min="0" max="1" step="0.05" value={audioVolumes[bus]}
+                    onChange={(e) => changeVolume(bus, Number(e.target.value))}
+                    style={{ accentColor: '#ff6b35' }} />
+                </label>
+              ))}
+            </div>
+          )}
         </header>
 
+        {showSavePanel && <SavePanel onClose={() => setShowSavePanel(false)} />}
+
+        {showMemoryPanel && <MemoryPanel onClose={() => setShowMemoryPanel(false)} />}
+
+        {showTimeline && <TimelinePanel onClose={() => setShowTimeline(false)} />}
+        {showJournal && <JournalPanel onClose={() => setShowJournal(false)} />}
+        {showSeance && <SeancePanel onClose={() => setShowSeance(false)} />}
+
+        {showTranscriptPanel && <TranscriptPanel onClose={() => setShowTranscriptPanel(false)} onReplay={startTranscriptReplay} />}
+
+        {showMap && <MansionMap onClose={() => setShowMap(false)} />}
+
+        <div className="chapter-panel" style={{
+          padding: '16px 24px',
+          background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+          borderRadius: '12px', marginBottom: '24px', border: '2px solid #8b008b',
+          backdropFilter: 'blur(10px)'
+        }}>
+          <div style={{ color: '#9d7cc1', fontSize: '13px' }}>
+            {t('chapter.heading', { number: getChapterIndex(chapter) + 1, title: t(`story.${chapter}.title`).toUpperCase() })}
+          </div>
+          <ul style={{ margin: '8px 0 0', paddingLeft: '20px' }}>
+            {objectives.map(({ text, done }) => (
+              <li key={text} style={{
+                color: done ? '#9d7cc1' : '#e0d4f7', fontSize: '14px', marginTop: '4px',
+                textDecoration: done ? 'line-through' : 'none'
+              }}>{text}</li>
+            ))}
+          </ul>
+        </div>
+
         <div className="room-panel" style={{
           padding: '24px', 
           background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
           borderRadius: '12px', marginBottom: '24px', border: '2px solid #ff6b35',
           backdropFilter: 'blur(10px)'
         }}>
-          <h2 style={{ color: '#ff6b35', marginTop: 0, fontFamily: 'Creepster, cursive' }}>
-            {ROOMS[currentRoom].name}
+          <h2 ref={roomHeadingRef} tabIndex={-1} style={{ color: '#ff6b35', marginTop: 0, fontFamily: 'Creepster, cursive' }}>
+            {t(`room.${currentRoom}.name`)}
           </h2>
-          <p style={{ color: '#e0d4f7' }}>{ROOMS[currentRoom].description}</p>
+          <p style={{ color: '#e0d4f7' }}>{t(`room.${currentRoom}.description`)}</p>
           <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid rgba(255,107,53,0.3)' }}>
-            <p style={{ color: '#9d7cc1', fontSize: '14px' }}>Available paths:</p>
+            <p style={{ color: '#9d7cc1', fontSize: '14px' }}>{t('room.paths')}</p>
             <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
-              {ROOMS[currentRoom].connections.map(roomId => (
-                <button key={roomId} onClick={() => moveToRoom(roomId)} className="room-button" style={{
-                  padding: '12px 20px', 
-                  background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
-                  color: '#ff6b35', border: '2px solid #ff6b35', borderRadius: '8px',
-                  cursor: 'pointer', fontSize: '14px'
-                }}>Go to {ROOMS[roomId].name}</button>
-              ))}
+              {getPaths(currentRoom).map(({ to, open, hint }) => {
+                const votes = party ? Object.values(party.votes).filter(room => room === to).length : 0;
+                return (
+                  <button key={to} onClick={() => {
+                    beginTurn(t('room.goTo', { room: t(`room.${to}.name`) }));
+                    moveToRoom(to);
+                  }} disabled={!canLead} className="room-button"
+                    title={!canLead ? t('seance.hostLeads', { host: party.players[0].name }) : open ? undefined : hint} style={{
+                      padding: '12px 20px',
+                      background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+                      color: open ? '#ff6b35' : '#9d7cc1', border: `2px ${open ? 'solid #ff6b35' : 'dashed #9d7cc1'}`,
+                      borderRadius: '8px', cursor: canLead ? 'pointer' : 'not-allowed', fontSize: '14px', opacity: open && canLead ? 1 : 0.75
+                    }}>
+                    {open ? t('room.goTo', { room: t(`room.${to}.name`) }) : `🔒 ${t(`room.${to}.name`)}`}
+                    {votes > 0 && ` ${t('seance.votes', { count: votes, total: party.players.length })}`}
+                  </button>
+                );
+              })}
+              {currentRoom === mansion.startRoom && (
+                <button onClick={() => {
+                  beginTurn(t('room.flee'));
+                  flee();
+                }} disabled={!canLead} className="room-button" style={{
+                  padding: '12px 20px', background: 'rgba(13,2,33,0.9)',
+                  color: '#9d7cc1', border: '2px solid #9d7cc1',
+                  borderRadius: '8px', cursor: 'pointer', fontSize: '14px'
+                }}>{t('room.flee')}</button>
+              )}
             </div>
+            {getPaths(currentRoom).filter(({ open, hint }) => !open && hint).map(({ to, hint }) => (
+              <p key={to} style={{ color: '#9d7cc1', fontSize: '12px', fontStyle: 'italic', marginBottom: 0 }}>
+                🔒 {hint}
+              </p>
+            ))}
           </div>
+          {getRoomItems(currentRoom).length > 0 && (
+            <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid rgba(255,107,53,0.3)' }}>
+              <p style={{ color: '#9d7cc1', fontSize: '14px' }}>{t('room.notice')}</p>
+              <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
+                {getRoomItems(currentRoom).map(itemId => (
+                  <button key={itemId} onClick={() => {
+                    beginTurn(t('room.take', { item: t(`item.${itemId}.name`) }));
+                    takeItem(itemId);
+                  }} className="room-button" style={{
+                    padding: '12px 20px',
+                    background: 'linear-gradient(135deg, rgba(45,27,61,0.9), rgba(26,11,46,0.9))',
+                    color: '#ffd700', border: '2px solid #ffd700', borderRadius: '8px',
+                    cursor: 'pointer', fontSize: '14px'
+                  }}>{t('room.take', { item: t(`item.${itemId}.name`) })}</button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
-        <div className="trust-panel" style={{
-          padding: '20px', 
-          background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
-          borderRadius: '12px', marginBottom: '24px', border: '2px solid #8b008b',
-          backdropFilter: 'blur(10px)'
-        }}>
-          <div style={{ marginBottom: '8px', color: '#9d7cc1', fontSize: '13px' }}>
-            GHOST TRUST: {ghostTrust}%
+        <div className="status-row" style={{ display: 'flex', gap: '24px', marginBottom: '24px' }}>
+          <div className="trust-panel" style={{
+            flex: 1, padding: '20px',
+            background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+            borderRadius: '12px', border: '2px solid #8b008b',
+            backdropFilter: 'blur(10px)'
+          }}>
+            <div style={{ marginBottom: '8px', color: '#9d7cc1', fontSize: '13px' }}>
+              {t('trust.label', { spirit: SPIRITS[activeSpirit].name.toUpperCase(), trust: activeTrust })}
+              {spiritEmotions[activeSpirit] && (
+                <span style={{ float: 'right', color: '#e0d4f7' }}>
+                  {t('trust.feels', { spirit: SPIRITS[activeSpirit].name, emotion: spiritEmotions[activeSpirit] })}
+                </span>
+              )}
+            </div>
+            <div role="progressbar" aria-label={t('trust.accessibleLabel', { spirit: SPIRITS[activeSpirit].name })}
+              aria-valuenow={activeTrust} aria-valuemin={0} aria-valuemax={100}
+              aria-valuetext={`${activeTrust}%${spiritEmotions[activeSpirit]
+                ? `, ${t('trust.feels', { spirit: SPIRITS[activeSpirit].name, emotion: spiritEmotions[activeSpirit] })}` : ''}`}
+              style={{
+                height: '24px', background: 'rgba(13,2,33,0.8)', borderRadius: '12px', overflow: 'hidden'
+              }}>
+              <div style={{
+                height: '100%', width: `${activeTrust}%`,
+                background: 'linear-gradient(90deg, #ff6b35, #ffd700)',
+                transition: reducedMotion ? 'none' : 'width 0.5s ease'
+              }} />
+            </div>
+            {lastTrustChange && lastTrustChange.delta !== 0 && (
+              <div style={{ marginTop: '10px', fontSize: '13px', color: lastTrustChange.delta > 0 ? '#ffd700' : '#9d7cc1' }}>
+                {t(lastTrustChange.delta > 0 ? 'trust.warmer' : 'trust.colder', { spirit: SPIRITS[activeSpirit].name })}
+                {lastTrustChange.reasons.length > 0 && (
+                  <span style={{ opacity: 0.7 }}>
+                     ({describeTrustReason([...lastTrustChange.reasons].sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))[0],
+                       t, SPIRITS[activeSpirit].name)})
+                  </span>
+                )}
+                {lastTrustChange.author && (
+                  <span style={{ opacity: 0.7 }}> {t('trust.byPlayer', { player: lastTrustChange.author.name })}</span>
+                )}
+              </div>
+            )}
           </div>
-          <div style={{
-            height: '24px', background: 'rgba(13,2,33,0.8)', borderRadius: '12px', overflow: 'hidden'
+
+          <div className="inventory-panel" style={{
+            flex: 1, padding: '20px',
+            background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(45,27,61,0.95))',
+            borderRadius: '12px', border: '2px solid #8b008b',
+            backdropFilter: 'blur(10px)'
           }}>
-            <div style={{
-              height: '100%', width: `${ghostTrust}%`,
-              background: 'linear-gradient(90deg, #ff6b35, #ffd700)',
-              transition: 'width 0.5s ease'
-            }} />
+            <div style={{ marginBottom: '8px', color: '#9d7cc1', fontSize: '13px' }}>
+              {t('inventory.title')}
+            </div>
+            {inventory.length === 0 ? (
+              <div style={{ color: '#e0d4f7', fontSize: '13px', opacity: 0.7 }}>{t('inventory.empty')}</div>
+            ) : inventory.map(itemId => (
+              <div key={itemId} title={t(`item.${itemId}.description`)} style={{
+                display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+                gap: '8px', marginBottom: '8px', color: '#e0d4f7', fontSize: '14px'
+              }}>
+                <span>{t(`item.${itemId}.name`)}</span>
+                <span style={{ display: 'flex', gap: '6px' }}>
+                  {['show', 'give'].map(action => (
+                    <button key={action} onClick={() => presentItem(itemId, action)} disabled={isLoading} style={{
+                      padding: '6px 10px', background: 'rgba(13,2,33,0.8)',
+                      color: '#ff6b35', border: '1px solid #ff6b35', borderRadius: '6px',
+                      cursor: isLoading ? 'not-allowed' : 'pointer', fontSize: '12px'
+                    }}>{t(`inventory.${action}`)}</button>
+                  ))}
+                </span>
+              </div>
+            ))}
           </div>
         </div>
 
-        <div className="chat-box" style={{
+        {demoServerStatus.checked && !demoServerStatus.online && (
+          <div role="status" style={{
+            display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap',
+            padding: '12px 16px', marginBottom: '16px', borderRadius: '10px', fontSize: '13px',
+            background: demoServerStatus.waking ? 'rgba(255,215,0,0.1)' : 'rgba(255,107,107,0.15)',
+            border: `2px solid ${demoServerStatus.waking ? '#ffd700' : '#ff6b6b'}`,
+            color: demoServerStatus.waking ? '#ffd700' : '#ff6b6b'
+          }}>
+            <span>
+              {demoServerStatus.waking ? t('server.waking') : t('server.offline')}
+              {queuedCount > 0 && ` ${t('server.queued', { count: queuedCount })}`}
+            </span>
+            {!demoServerStatus.waking && (
+              <button onClick={checkDemoServer} style={{
+                padding: '6px 12px', background: 'rgba(13,2,33,0.8)', color: '#ff6b6b',
+                border: '1px solid #ff6b6b', borderRadius: '6px', cursor: 'pointer', fontSize: '12px',
+                fontFamily: 'Special Elite, cursive'
+              }}>{t('server.callAgain')}</button>
+            )}
+          </div>
+        )}
+
+        <div className="chat-box" role="log" aria-live="off" aria-label={t('chat.label')} tabIndex={0} style={{
           height: '350px', overflowY: 'auto', padding: '20px',
           background: 'linear-gradient(180deg, rgba(13,2,33,0.95), rgba(26,11,46,0.95))',
           borderRadius: '12px', marginBottom: '24px', border: '2px solid #8b008b',
@@ -764,31 +4221,97 @@ const AppContent = () => {
             background: 'rgba(139,0,139,0.3)', border: '1px solid #ff6b35',
             borderRadius: '8px', padding: '12px', marginBottom: '20px',
             fontSize: '13px', color: '#ffd700', textAlign: 'center'
-          }}>AI Powered by Claude | Music by Kevin MacLeod</div>
-          {conversationHistory.map((msg, idx) => (
-            <div key={idx} className="chat-message" style={{
+          }}>{t('chat.credits')}</div>
+          {transcriptReplay && (
+            <div style={{
+              display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap',
+              borderRadius: '8px', padding: '12px', marginBottom: '20px',
+              background: 'rgba(13,2,33,0.8)', border: '1px dashed #ffd700', fontSize: '13px', color: '#ffd700'
+            }}>
+              <span>{t('transcript.replaying', { date: new Date(transcriptReplay.transcript.messages[0].timestamp).toLocaleString() })}</span>
+              <span style={{ display: 'flex', gap: '8px' }}>
+                {transcriptReplay.shown < transcriptReplay.transcript.messages.length && (
+                  <button onClick={() => setTranscriptReplay(prev => ({ ...prev, shown: prev.transcript.messages.length }))} style={{
+                    padding: '6px 10px', background: 'rgba(13,2,33,0.8)', color: '#ff6b35',
+                    border: '1px solid #ff6b35', borderRadius: '6px', cursor: 'pointer', fontSize: '12px'
+                  }}>{t('transcript.showAll')}</button>
+                )}
+                <button onClick={() => setTranscriptReplay(null)} style={{
+                  padding: '6px 10px', background: 'rgba(13,2,33,0.8)', color: '#ffd700',
+                  border: '1px solid #ffd700', borderRadius: '6px', cursor: 'pointer', fontSize: '12px'
+                }}>{t('transcript.endReplay')}</button>
+              </span>
+            </div>
+          )}
+          {shownMessages.map((msg, idx) => (
+            <div key={msg.id || idx} className="chat-message" style={{
               marginBottom: '16px', padding: '14px',
               background: msg.role === 'user' ? 'rgba(45,27,61,0.8)' : msg.role === 'assistant' ? 'rgba(26,11,46,0.8)' : 'rgba(139,0,139,0.6)',
               borderRadius: '10px',
-              borderLeft: `4px solid ${msg.role === 'user' ? '#ff6b35' : msg.role === 'assistant' ? '#8b008b' : '#ffd700'}`
+              borderLeft: `4px solid ${msg.role === 'user' ? '#ff6b35' : msg.role === 'assistant' ? SPIRITS[msg.spirit || DEFAULT_SPIRIT].color : '#ffd700'}`
             }}>
               <div style={{ fontSize: '11px', color: '#9d7cc1', marginBottom: '6px' }}>
-                {msg.role === 'user' ? 'You' : msg.role === 'assistant' ? 'Eleanor' : 'System'}
+                {transcriptReplay ? msg.speaker : messageSpeaker(msg, t, seancePlayer && seancePlayer.id)}
               </div>
               <div style={{ color: '#e0d4f7' }}>
-                {idx === conversationHistory.length - 1 && msg.role === 'assistant' ? (
-                  <TypewriterText text={msg.content} />
+                {msg.streaming ? (
+                  <span>{msg.content}<span style={{ opacity: 0.6 }}>▍</span></span>
+                ) : !transcriptReplay && idx === conversationHistory.length - 1 && msg.role === 'assistant' && !msg.streamed ? (
+                  <TypewriterText text={msg.content} instant={reducedMotion}
+                    voice={voiceState && voiceState.id === msg.id ? voiceState : null} />
                 ) : msg.content}
+                {msg.interrupted && <span style={{ color: '#9d7cc1' }}>{t('chat.interrupted')}</span>}
+                {msg.undelivered && <span style={{ color: '#9d7cc1' }}> {t('chat.undelivered')}</span>}
+                {msg.queued && <span style={{ color: '#9d7cc1' }}> {t('chat.queued')}</span>}
+                {msg.failed && (
+                  <span style={{ color: '#9d7cc1' }}> {t('chat.failed')}{' '}
+                    {isOwnMessage(msg) && (
+                      <button onClick={() => retryMessage(msg)} disabled={isLoading || !!transcriptReplay} style={{
+                        padding: '4px 10px', background: 'rgba(13,2,33,0.8)', color: '#ff6b35',
+                        border: '1px solid #ff6b35', borderRadius: '6px', fontSize: '12px',
+                        cursor: isLoading ? 'not-allowed' : 'pointer', fontFamily: 'Special Elite, cursive'
+                      }}>{t('chat.retry')}</button>
+                    )}
+                  </span>
+                )}
               </div>
             </div>
           ))}
         </div>
 
+        {!transcriptReplay && spiritsHere.length > 1 && (
+          <div className="spirit-selector" style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+            <span style={{ color: '#9d7cc1', fontSize: '13px' }}>{t('chat.speakingTo')}</span>
+            {spiritsHere.map(spirit => (
+              <button key={spirit.id} onClick={() => addressSpirit(spirit.id)} style={{
+                padding: '8px 14px',
+                background: spirit.id === activeSpirit ? spirit.color : 'rgba(13,2,33,0.8)',
+                color: '#e0d4f7', border: `2px solid ${spirit.color}`, borderRadius: '16px',
+                cursor: 'pointer', fontSize: '13px', fontFamily: 'Special Elite, cursive'
+              }}>{spirit.name}</button>
+            ))}
+          </div>
+        )}
+
+        {!transcriptReplay && suggestedActions.length > 0 && (
+          <div className="suggested-actions" style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+            {suggestedActions.map(action => (
+              <button key={action} onClick={() => sendMessage(action)} disabled={isLoading} style={{
+                padding: '8px 14px', background: 'rgba(139,0,139,0.4)',
+                color: '#ffd700', border: '1px solid #8b008b', borderRadius: '16px',
+                cursor: isLoading ? 'not-allowed' : 'pointer', fontSize: '13px',
+                fontFamily: 'Special Elite, cursive'
+              }}>{action}</button>
+            ))}
+          </div>
+        )}
+
         <div className="input-container" style={{ display: 'flex', gap: '12px' }}>
-          <input type="text" value={input}
-            onChange={(e) => setInput(e.target.value)}
+          <input type="text" value={input} id="chat-input" ref={chatInputRef}
+            aria-label={t('chat.inputLabel', { spirit: SPIRITS[activeSpirit].name })}
+            onChange={(e) => setInput(e.target.value)} disabled={!!transcriptReplay}
             onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-            placeholder="Speak to the ghost..." disabled={isLoading}
+            placeholder={t('chat.placeholder', { spirit: SPIRITS[activeSpirit].name })}
             style={{
               flex: 1, padding: '16px',
               background: 'linear-gradient(135deg, rgba(26,11,46,0.95), rgba(13,2,33,0.95))',
@@ -796,13 +4319,20 @@ const AppContent = () => {
               color: '#e0d4f7', fontSize: '15px',
               backdropFilter: 'blur(10px)'
             }} />
-          <button onClick={sendMessage} disabled={isLoading} className="send-button" style={{
+          {isLoading && (
+            <button onClick={cancelGhostReply} className="send-button" style={{
+              padding: '16px 20px', background: 'rgba(13,2,33,0.9)',
+              color: '#9d7cc1', border: '2px solid #8b008b', borderRadius: '10px',
+              cursor: 'pointer', fontSize: '15px', fontWeight: 'bold'
+            }}>{t('chat.hush')}</button>
+          )}
+          <button onClick={() => sendMessage()} disabled={!!transcriptReplay || (isLoading && !input.trim())} className="send-button" style={{
             padding: '16px 32px',
-            background: isLoading ? '#555' : 'linear-gradient(135deg, #ff6b35, #ff8c61)',
+            background: transcriptReplay || (isLoading && !input.trim()) ? '#555' : 'linear-gradient(135deg, #ff6b35, #ff8c61)',
             color: '#fff', border: 'none', borderRadius: '10px',
-            cursor: isLoading ? 'not-allowed' : 'pointer',
+            cursor: transcriptReplay || (isLoading && !input.trim()) ? 'not-allowed' : 'pointer',
             fontSize: '15px', fontWeight: 'bold'
-          }}>{isLoading ? 'Summoning...' : 'Send'}</button>
+          }}>{isLoading && !input.trim() ? t('chat.summoning') : t('chat.send')}</button>
         </div>
       </div>
     </div>
@@ -810,3 +4340,5 @@ const AppContent = () => {
 };
 
 export default App;
+export { scoreExchange, TRUST_RULES, validateManifest, parseCommand, findExamineTarget, buildSpiritMemory,
+  readGhostStream };
@@ -0,0 +1,249 @@
+import {
+  scoreExchange, TRUST_RULES, validateManifest, parseCommand, findExamineTarget, buildSpiritMemory, readGhostStream
+} from './App';
+import fs from 'fs';
+import path from 'path';
+import { TextEncoder, TextDecoder } from 'util';
+import mansion from './content/mansion.json';
+import en from './locales/en.json';
+import es from './locales/es.json';
+
+const ids = ({ reasons }) => reasons.map(({ id }) => id);
+
+describe('scoreExchange', () => {
+  test('scores each matching rule once', () => {
+    const score = scoreExchange({ userMessage: "I'm sorry, thank you. Who were you?" });
+    expect(ids(score)).toEqual(['kindness', 'curiosity']);
+    expect(score.delta).toBe(7);
+  });
+
+  test('cruelty and mockery cost trust', () => {
+    expect(scoreExchange({ userMessage: 'Shut up, you stupid liar' }).delta).toBe(-8);
+    expect(scoreExchange({ userMessage: 'lol, not real' }).delta).toBe(-4);
+  });
+
+  test('Spanish phrasing is scored by the same rules', () => {
+    const score = scoreExchange({ userMessage: 'Lo siento mucho. ¿Quién eras?' });
+    expect(ids(score)).toEqual(['kindness', 'curiosity']);
+    expect(scoreExchange({ userMessage: 'Cállate, mentirosa' }).delta).toBe(-8);
+    expect(ids(scoreExchange({ userMessage: 'jajaja, no eres real' }))).toEqual(['mockery']);
+    expect(ids(scoreExchange({ userMessage: 'Hola', ghostMessage: 'Eres muy amable, querida.' }))).toEqual(['warmth']);
+    expect(ids(scoreExchange({ userMessage: 'Hola', ghostMessage: '¡Fuera de aquí, intruso!' }))).toEqual(['coldness']);
+  });
+
+  test("the spirit's own words count", () => {
+    expect(ids(scoreExchange({ userMessage: 'Hello', ghostMessage: 'You are kind, dear visitor.' }))).toEqual(['warmth']);
+    expect(ids(scoreExchange({ userMessage: 'Hello', ghostMessage: 'Begone, intruder!' }))).toEqual(['coldness']);
+  });
+
+  test('repeating one of the last few messages costs trust, ignoring case and punctuation', () => {
+    const score = scoreExchange({ userMessage: 'Where is the key?', previousUserMessages: ['where is the KEY', 'Hello'] });
+    expect(ids(score)).toEqual(['repetition']);
+    expect(score.delta).toBe(TRUST_RULES.repetition.delta);
+  });
+
+  test('only the last few messages count as a repeat', () => {
+    const previousUserMessages = ['Where is the key?', 'a', 'b', 'c'];
+    expect(ids(scoreExchange({ userMessage: 'Where is the key?', previousUserMessages }))).toEqual([]);
+  });
+
+  test('accented and non-Latin messages are compared letter for letter', () => {
+    expect(ids(scoreExchange({ userMessage: '¿Dónde está?', previousUserMessages: ['¿Dónde estás?'] }))).toEqual([]);
+    expect(ids(scoreExchange({ userMessage: 'Привет', previousUserMessages: ['Пока'] }))).toEqual([]);
+    expect(ids(scoreExchange({ userMessage: '¿Dónde está?', previousUserMessages: ['dónde está'] }))).toEqual(['repetition']);
+  });
+
+  test('messages without letters or digits are never repeats', () => {
+    expect(ids(scoreExchange({ userMessage: '???', previousUserMessages: ['!!!'] }))).toEqual([]);
+    expect(ids(scoreExchange({ userMessage: '👻', previousUserMessages: ['👻'] }))).toEqual([]);
+  });
+
+  test("the backend's trust delta is capped per turn", () => {
+    const score = scoreExchange({ userMessage: 'Hello', signals: { trustDelta: 40 } });
+    expect(score.reasons).toEqual([expect.objectContaining({ id: 'ghost', delta: TRUST_RULES.maxDeltaPerTurn })]);
+  });
+
+  test('sentiment is weighted and clamped to -1..1', () => {
+    expect(scoreExchange({ userMessage: 'Hello', signals: { sentiment: 0.5 } }).delta).toBe(3);
+    expect(scoreExchange({ userMessage: 'Hello', signals: { sentiment: -4 } }).delta).toBe(-TRUST_RULES.sentimentWeight);
+  });
+
+  test('high trust fades when nothing raises it', () => {
+    expect(ids(scoreExchange({ userMessage: 'Hello', trust: 60 }))).toEqual(['decay']);
+    expect(ids(scoreExchange({ userMessage: 'Thank you', trust: 60 }))).toEqual(['kindness']);
+    expect(ids(scoreExchange({ userMessage: 'Hello', trust: TRUST_RULES.decay.above }))).toEqual([]);
+  });
+
+  test('the total is capped per turn', () => {
+    const score = scoreExchange({ userMessage: 'Thank you', signals: { trustDelta: 15, sentiment: 1 } });
+    expect(score.delta).toBe(TRUST_RULES.maxDeltaPerTurn);
+  });
+
+  test('uses the rules it is given', () => {
+    const rules = {
+      ...TRUST_RULES,
+      user: [{ id: 'greeting', pattern: /\bhello\b/i, delta: 1, reason: 'You said hello' }],
+      ghost: []
+    };
+    expect(scoreExchange({ userMessage: 'Hello there' }, rules)).toEqual({
+      delta: 1, reasons: [{ id: 'greeting', delta: 1, reason: 'You said hello' }]
+    });
+  });
+});
+
+describe('readGhostStream', () => {
+  // jsdom has no TextDecoder of its own
+  beforeAll(() => {
+    global.TextDecoder = global.TextDecoder || TextDecoder;
+  });
+  const encoder = new TextEncoder();
+  const stream = (chunks, contentType = 'text/event-stream') => {
+    const reads = chunks.map(chunk => ({ done: false, value: encoder.encode(chunk) }));
+    return {
+      headers: { get: () => contentType },
+      body: { getReader: () => ({ read: async () => reads.shift() || { done: true } }) }
+    };
+  };
+  const read = async (response) => {
+    const tokens = [];
+    const finalReply = await readGhostStream(response, token => tokens.push(token));
+    return { tokens, finalReply };
+  };
+
+  test('reads tokens and the final envelope from server-sent events split across chunks', async () => {
+    expect(await read(stream(['data: {"token":"Who', '"}\n\ndata: {"delta":" goes"}\n\n', 'event: done\ndata: {"text":"Who goes?"}\n\n'])))
+      .toEqual({ tokens: ['Who', ' goes'], finalReply: { text: 'Who goes?' } });
+  });
+
+  test('reads a last block that has no blank line after it', async () => {
+    expect(await read(stream(['data: {"token":"Hush"}\n\n', 'event: done\ndata: {"text":"Hush.","emotion":"wistful"}'])))
+      .toEqual({ tokens: ['Hush'], finalReply: { text: 'Hush.', emotion: 'wistful' } });
+  });
+
+  test('passes plain text bodies through as tokens', async () => {
+    expect(await read(stream(['Hello ', 'there'], 'text/plain'))).toEqual({ tokens: ['Hello ', 'there'], finalReply: null });
+  });
+});
+
+describe('buildSpiritMemory', () => {
+  const said = (content, timestamp = 1) => ({ role: 'user', content, room: 'entrance', timestamp });
+  const facts = (...messages) => buildSpiritMemory(messages, 'Eleanor').facts.map(({ kind, value }) => [kind, value]);
+
+  test('remembers names, promises and confessions', () => {
+    expect(facts(said('My name is Ada.'), said('I promise to find your locket. Then we talk.'))).toEqual([
+      ['name', 'Ada'], ['promise', 'I promise to find your locket']
+    ]);
+  });
+
+  test('remembers facts stated in Spanish, with names in any script', () => {
+    expect(facts(
+      said('Hola. Me llamo José.'),
+      said('Te lo prometo: encontraré tu guardapelo.'),
+      said('Confieso que tengo miedo. Nada más.')
+    )).toEqual([
+      ['name', 'José'], ['promise', 'Te lo prometo: encontraré tu guardapelo'], ['secret', 'Confieso que tengo miedo']
+    ]);
+    expect(facts(said('Call me Zoë, please'))).toEqual([['name', 'Zoë']]);
+  });
+
+  test('only the latest name counts', () => {
+    expect(facts(said('Call me Ada'), said('Mi nombre es Lucía'))).toEqual([['name', 'Lucía']]);
+  });
+});
+
+describe('examine commands', () => {
+  const t = key => key;
+  const examine = (text, room = 'entrance', items = []) => {
+    const command = parseCommand(text);
+    return command && command.verb === 'examine' ? findExamineTarget(command.target, room, items, t) : null;
+  };
+
+  test('find a feature of the room by name or alias', () => {
+    expect(examine('look at the stairs')).toEqual({ featureId: 'staircase' });
+    expect(examine('examine windows')).toEqual({ featureId: 'windows' });
+  });
+
+  test('find an item lying in the room or carried', () => {
+    expect(examine('inspect the locket', 'entrance', ['locket'])).toEqual({ itemId: 'locket' });
+  });
+
+  test('speech that starts with an examine verb but names nothing here is left for the spirit', () => {
+    expect(parseCommand('look at me')).toEqual({ verb: 'examine', target: 'me' });
+    expect(examine('look at me')).toBeNull();
+    expect(examine('search for your husband, Eleanor')).toBeNull();
+    expect(parseCommand("look, I'm sorry")).toBeNull();
+  });
+});
+
+describe('validateManifest', () => {
+  const edit = (change) => {
+    const manifest = JSON.parse(JSON.stringify(mansion));
+    change(manifest);
+    return validateManifest(manifest);
+  };
+
+  test('the shipped mansion is valid', () => {
+    expect(validateManifest(mansion)).toEqual([]);
+  });
+
+  test('reports schema problems before anything else', () => {
+    expect(edit(manifest => delete manifest.rooms.library.name)).toEqual(['mansion.rooms.library: missing "name"']);
+  });
+
+  test('reports unknown items', () => {
+    expect(edit(manifest => manifest.rooms.library.items.push('candlestick')))
+      .toEqual(['rooms.library.items: unknown item "candlestick"']);
+    expect(edit(manifest => { manifest.rooms.gallery.connections[1].requires.item = 'skeleton_key'; }))
+      .toEqual(['rooms.gallery.connections: "bedroom" requires unknown item "skeleton_key"']);
+  });
+
+  test('reports unknown rooms', () => {
+    expect(edit(manifest => manifest.rooms.library.connections.push('attic'))).toEqual([
+      'rooms.library.connections: unknown room "attic"'
+    ]);
+    expect(edit(manifest => manifest.spirits.pip.homeRooms.push('nursery'))).toEqual([
+      'spirits.pip.homeRooms: unknown room "nursery"'
+    ]);
+  });
+
+  test('reports connections with no way back unless marked oneWay', () => {
+    expect(edit(manifest => { manifest.rooms.garden.connections = []; })).toEqual([
+      'rooms.entrance.connections: "garden" has no way back; add a return connection or set "oneWay": true'
+    ]);
+    expect(edit(manifest => {
+      manifest.rooms.garden.connections = [];
+      manifest.rooms.entrance.connections[2] = { to: 'garden', oneWay: true };
+    })).toEqual([]);
+  });
+
+  test('reports rooms that cannot be reached from the start room', () => {
+    expect(edit(manifest => {
+      manifest.rooms.entrance.connections = manifest.rooms.entrance.connections.filter(connection => connection !== 'garden');
+      manifest.rooms.garden.connections = [];
+    })).toEqual(['rooms.garden: unreachable from "entrance"']);
+  });
+
+  test('reports gifts keyed to spirits who would refuse the item', () => {
+    expect(edit(manifest => { manifest.items.locket.giftTrust.pip = -3; }))
+      .toEqual(['items.locket: "pip" is keyed but is not one of its recipients']);
+    expect(edit(manifest => manifest.items.locket.recipients.push('cook')))
+      .toEqual(['items.locket: unknown spirit "cook"']);
+  });
+
+  test('ignores locks when checking reachability', () => {
+    expect(edit(manifest => { manifest.rooms.gallery.connections[1].requires.trust = 100; })).toEqual([]);
+  });
+});
+
+describe('séance relay errors', () => {
+  const relay = fs.readFileSync(path.join(__dirname, '..', 'server', 'relay.js'), 'utf8');
+  const reasons = [
+    ...[...relay.matchAll(/reason: '(\w+)'/g)].map(match => match[1]),
+    ...[...relay.matchAll(/(?:refuse\(socket|end\(membership\.code, membership\.seance), '(\w+)'/g)].map(match => match[1])
+  ];
+
+  test('every reason the relay gives has a message in each catalog', () => {
+    expect(reasons).toEqual(expect.arrayContaining(['badMessage', 'badCode', 'seanceFull']));
+    [en, es].forEach(catalog => reasons.forEach(reason => expect(catalog).toHaveProperty([`seance.error.${reason}`])));
+  });
+});
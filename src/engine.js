@@ -0,0 +1,245 @@
+import mansion from './content/mansion.json';
+
+// The game rules, kept apart from React so they can be tested and replayed on their own.
+// Rooms, items and spirits are authored in content/mansion.json; see validateManifest in App.js for the rules
+const ROOMS = mansion.rooms;
+
+// Every spirit keeps its own trust meter and only remembers conversations addressed to it
+const SPIRITS = mansion.spirits;
+
+const DEFAULT_SPIRIT = mansion.defaultSpirit;
+
+const getSpiritsInRoom = (roomId) => Object.values(SPIRITS).filter(spirit => spirit.homeRooms.includes(roomId));
+
+const getConnections = (roomId) => ROOMS[roomId].connections
+  .map(connection => typeof connection === 'string' ? { to: connection } : connection);
+
+// An item that was needed to pass counts once found, even after it has been given away
+const isPathOpen = (connection, { spiritTrust, inventory, givenItems, storyFlags }) => {
+  const { requires } = connection;
+  if (!requires || storyFlags[`unlocked:${connection.to}`]) return true;
+  if (requires.trust !== undefined && spiritTrust[requires.spirit || DEFAULT_SPIRIT] < requires.trust) return false;
+  if (requires.item && !inventory.includes(requires.item) && !givenItems.includes(requires.item)) return false;
+  if (requires.flag && !storyFlags[requires.flag]) return false;
+  return true;
+};
+
+const ITEMS = mansion.items;
+
+const acceptsItem = (spiritId, itemId) => !ITEMS[itemId].recipients || ITEMS[itemId].recipients.includes(spiritId);
+
+const STORY = mansion.story;
+
+const LORE = mansion.lore;
+
+const INITIAL_GAME = {
+  currentRoom: mansion.startRoom,
+  conversationHistory: [],
+  trustHistory: [],
+  inventory: [],
+  givenItems: [],
+  storyFlags: {},
+  activeSpirit: DEFAULT_SPIRIT,
+  roomVisits: {},
+  spiritEmotions: {},
+  chapter: STORY.chapters[0].id,
+  ending: null,
+  journal: {},
+  // Only set during a shared séance: { mode: 'vote' | 'host', players: [{ id, name }], votes: { playerId: roomId },
+  // arrivals: { roomId: message } }, where arrivals holds the message to add if the group moves to a voted room
+  party: null
+};
+
+const getSpiritTrust = (trustHistory) => Object.keys(SPIRITS).reduce((trust, spiritId) => {
+  const entries = trustHistory.filter(entry => entry.spirit === spiritId);
+  return { ...trust, [spiritId]: entries.length > 0 ? entries[entries.length - 1].trust : 0 };
+}, {});
+
+// The longest-standing player leads; when they leave, the next one to have joined takes over
+const getSeanceHost = (party) => party && party.players.length > 0 ? party.players[0].id : null;
+
+const withTrustChange = (state, spiritId, amount, reasons, at, author = null) => {
+  const entries = state.trustHistory.filter(entry => entry.spirit === spiritId);
+  const previous = entries.length > 0 ? entries[entries.length - 1].trust : 0;
+  const trust = Math.max(0, Math.min(100, previous + amount));
+  return {
+    ...state,
+    trustHistory: [...state.trustHistory, {
+      turn: state.trustHistory.length + 1, spirit: spiritId, delta: trust - previous, reasons, trust, timestamp: at,
+      ...(author ? { author } : {})
+    }]
+  };
+};
+
+const applyEvent = (state, event) => {
+  switch (event.type) {
+    case 'game_started':
+      return { ...INITIAL_GAME, ...event.state };
+    case 'message_added':
+      return { ...state, conversationHistory: [...state.conversationHistory, event.message] };
+    case 'message_updated':
+      return {
+        ...state,
+        conversationHistory: state.conversationHistory
+          .map(message => message.id === event.id ? { ...message, ...event.changes } : message)
+      };
+    case 'message_removed':
+      return { ...state, conversationHistory: state.conversationHistory.filter(message => message.id !== event.id) };
+    case 'room_entered': {
+      if (!ROOMS[event.room]) return state;
+      // Events that came through the relay carry their sender; when following a host, only the host moves the group
+      if (state.party && state.party.mode === 'host' && event.sender && event.sender !== getSeanceHost(state.party)) return state;
+      const visit = state.roomVisits[event.room];
+      const spiritsHere = getSpiritsInRoom(event.room);
+      return {
+        ...state,
+        currentRoom: event.room,
+        roomVisits: {
+          ...state.roomVisits,
+          [event.room]: { count: visit ? visit.count + 1 : 1, firstVisitedAt: visit ? visit.firstVisitedAt : event.at }
+        },
+        activeSpirit: spiritsHere.length > 0 && !spiritsHere.some(({ id }) => id === state.activeSpirit)
+          ? spiritsHere[0].id
+          : state.activeSpirit
+      };
+    }
+    case 'spirit_addressed':
+      return getSpiritsInRoom(state.currentRoom).some(({ id }) => id === event.spirit)
+        ? { ...state, activeSpirit: event.spirit }
+        : state;
+    case 'emotion_changed':
+      return { ...state, spiritEmotions: { ...state.spiritEmotions, [event.spirit]: event.emotion } };
+    case 'flag_set':
+      return { ...state, storyFlags: { ...state.storyFlags, [event.flag]: true } };
+    case 'feature_examined': {
+      const feature = ROOMS[event.room] && (ROOMS[event.room].features || {})[event.feature];
+      return feature && feature.setsFlag ? { ...state, storyFlags: { ...state.storyFlags, [feature.setsFlag]: true } } : state;
+    }
+    case 'item_taken':
+      return !ITEMS[event.item] || state.inventory.includes(event.item) || state.givenItems.includes(event.item)
+        ? state
+        : { ...state, inventory: [...state.inventory, event.item] };
+    case 'item_given': {
+      if (!state.inventory.includes(event.item) || !acceptsItem(event.spirit, event.item)) return state;
+      const item = ITEMS[event.item];
+      const giftTrust = (item.giftTrust || {})[event.spirit] || 0;
+      const flag = item.givesFlag && item.givesFlag[event.spirit];
+      const given = withTrustChange({
+        ...state,
+        inventory: state.inventory.filter(id => id !== event.item),
+        givenItems: [...state.givenItems, event.item]
+      }, event.spirit, giftTrust, [{
+        id: 'gift', delta: giftTrust, item: event.item, reason: `You gave ${SPIRITS[event.spirit].name} the ${item.name}`
+      }], event.at);
+      return flag ? { ...given, storyFlags: { ...given.storyFlags, [flag]: true } } : given;
+    }
+    case 'trust_changed':
+      return event.amount === 0 && event.reasons.length === 0
+        ? state
+        : withTrustChange(state, event.spirit, event.amount, event.reasons, event.at, event.author);
+    case 'chapter_reached':
+      return { ...state, chapter: event.chapter };
+    case 'ending_reached':
+      return state.ending ? state : { ...state, ending: { id: event.ending, reachedAt: event.at } };
+    case 'seance_started':
+      return { ...INITIAL_GAME, ...event.state, party: { mode: event.mode, players: [], votes: {}, arrivals: {} } };
+    case 'player_joined':
+      return state.party ? { ...state, party: { ...state.party, players: [...state.party.players, event.player] } } : state;
+    // Fewer players need fewer votes, so the votes left may now carry the group
+    case 'player_left': {
+      if (!state.party) return state;
+      const { [event.player]: dropped, ...votes } = state.party.votes;
+      const left = { ...state, party: { ...state.party, votes, players: state.party.players.filter(({ id }) => id !== event.player) } };
+      return left.party.mode === 'vote' ? settleVotes(left, event.at) : left;
+    }
+    case 'seance_left':
+      return { ...state, party: null };
+    case 'travel_voted':
+      if (!state.party || state.party.mode !== 'vote' || !event.sender) return state;
+      return settleVotes({
+        ...state,
+        party: {
+          ...state.party,
+          votes: { ...state.party.votes, [event.sender]: event.room },
+          arrivals: { ...state.party.arrivals, [event.room]: event.message }
+        }
+      }, event.at);
+    default:
+      // turn_started only marks where a turn begins in the log; ghost_answered only matters to the journal
+      return state;
+  }
+};
+
+// A whole word or phrase in any script, so "eight" is not found in "weight" nor "ocho" in "ochocientos"
+const mentionsWord = (text, word) => new RegExp(
+  `(?:^|[^\\p{L}\\p{N}])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu'
+).test(text);
+
+// A majority of the players present moves everyone. Votes are counted in relay order, so whichever vote tips a
+// room over the line wins even when players pick different rooms at the same moment.
+const settleVotes = (state, at) => {
+  const { players, votes, arrivals } = state.party;
+  const chosen = Object.values(votes);
+  const room = chosen.find(choice => chosen.filter(other => other === choice).length * 2 > players.length);
+  if (!room) return state;
+  const connection = getConnections(state.currentRoom).find(({ to }) => to === room);
+  const open = connection && isPathOpen(connection, { ...state, spiritTrust: getSpiritTrust(state.trustHistory) });
+  const cleared = { ...state, party: { ...state.party, votes: {}, arrivals: {} } };
+  if (!open) return cleared;
+  const moved = applyEvent(cleared, { type: 'room_entered', room, at });
+  return { ...moved, conversationHistory: [...moved.conversationHistory, arrivals[room]] };
+};
+
+// Visits and flags unlock an entry whenever they hold, which also catches up saves made before the journal existed
+const isLoreUnlocked = ({ room, unlock }, state, event) => {
+  if (unlock.visit) return Boolean(state.roomVisits[room]);
+  if (unlock.flag) return Boolean(state.storyFlags[unlock.flag]);
+  if (unlock.examine) return event.type === 'feature_examined' && event.room === room && event.feature === unlock.examine;
+  return event.type === 'ghost_answered' && (!unlock.spirit || unlock.spirit === event.spirit)
+    && unlock.mentions.some(word => mentionsWord(event.text, word));
+};
+
+// The game rules. Every change to a game is an event, and a game is its events folded through this reducer, so it
+// must stay pure: ids and times travel on the event, and nothing here reads the clock, storage or the network.
+const gameReducer = (state, event) => {
+  const next = applyEvent(state, event);
+  const found = Object.values(LORE).filter(entry => !next.journal[entry.id] && isLoreUnlocked(entry, next, event));
+  return found.length === 0
+    ? next
+    : { ...next, journal: { ...next.journal, ...Object.fromEntries(found.map(({ id }) => [id, event.at])) } };
+};
+
+// Wraps a game with the log of events since it was started or loaded. Undo and rewind replay a prefix of the log
+// from `start`; streamed replies rewrite one message many times, so consecutive updates to it are merged.
+const createEngine = (game = INITIAL_GAME) => ({ start: game, log: [], game });
+
+const getTurns = (log) => log
+  .map((event, index) => ({ ...event, index }))
+  .filter(({ type, index }) => type === 'turn_started' && index < log.length - 1);
+
+const engineReducer = (engine, event) => {
+  if (event.type === 'game_started' || event.type === 'seance_started') return createEngine(gameReducer(INITIAL_GAME, event));
+  if (event.type === 'rewind' || event.type === 'undo') {
+    const turns = getTurns(engine.log);
+    const index = event.type === 'undo' ? (turns.length > 0 ? turns[turns.length - 1].index : null) : event.index;
+    if (index === null || index < 0 || index >= engine.log.length) return engine;
+    const log = engine.log.slice(0, index);
+    const rewound = { ...engine, log, game: log.reduce(gameReducer, engine.start) };
+    return event.notice
+      ? engineReducer(rewound, { type: 'message_added', at: event.at, message: { ...event.notice, room: rewound.game.currentRoom } })
+      : rewound;
+  }
+  const last = engine.log[engine.log.length - 1];
+  let log = [...engine.log, event];
+  if (last && event.type === 'turn_started' && last.type === 'turn_started') {
+    log = [...engine.log.slice(0, -1), event];
+  } else if (last && event.type === 'message_updated' && last.type === 'message_updated' && last.id === event.id) {
+    log = [...engine.log.slice(0, -1), { ...last, changes: { ...last.changes, ...event.changes } }];
+  }
+  return { ...engine, log, game: gameReducer(engine.game, event) };
+};
+
+export {
+  ROOMS, ITEMS, SPIRITS, STORY, LORE, DEFAULT_SPIRIT, getSpiritsInRoom, getConnections, isPathOpen, acceptsItem,
+  INITIAL_GAME, getSpiritTrust, getSeanceHost, applyEvent, gameReducer, createEngine, getTurns, engineReducer
+};
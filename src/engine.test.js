@@ -0,0 +1,359 @@
+import { INITIAL_GAME, gameReducer, createEngine, engineReducer, getTurns } from './engine';
+
+const at = 1000;
+const play = (events, game = INITIAL_GAME) => events.reduce(gameReducer, game);
+const run = (events, engine = createEngine()) => events.reduce(engineReducer, engine);
+const message = (id, content = id) => ({ id, role: 'user', content, timestamp: at, room: 'entrance' });
+
+describe('gameReducer', () => {
+  test('game_started replaces the game with the given state', () => {
+    const game = play([
+      { type: 'flag_set', flag: 'read_journals', at },
+      { type: 'game_started', state: { currentRoom: 'library' }, at }
+    ]);
+    expect(game.currentRoom).toBe('library');
+    expect(game.storyFlags).toEqual({});
+  });
+
+  test('messages are added, updated and removed by id', () => {
+    const added = play([
+      { type: 'message_added', message: message('a'), at },
+      { type: 'message_added', message: message('b'), at }
+    ]);
+    expect(added.conversationHistory.map(({ id }) => id)).toEqual(['a', 'b']);
+    const updated = play([{ type: 'message_updated', id: 'a', changes: { content: 'changed', failed: true }, at }], added);
+    expect(updated.conversationHistory[0]).toMatchObject({ id: 'a', content: 'changed', failed: true });
+    expect(updated.conversationHistory[1]).toBe(added.conversationHistory[1]);
+    const removed = play([{ type: 'message_removed', id: 'a', at }], updated);
+    expect(removed.conversationHistory.map(({ id }) => id)).toEqual(['b']);
+  });
+
+  test('room_entered counts visits and keeps the first visit time', () => {
+    const game = play([
+      { type: 'room_entered', room: 'library', at: 1 },
+      { type: 'room_entered', room: 'entrance', at: 2 },
+      { type: 'room_entered', room: 'library', at: 3 }
+    ]);
+    expect(game.currentRoom).toBe('library');
+    expect(game.roomVisits.library).toEqual({ count: 2, firstVisitedAt: 1 });
+  });
+
+  test('room_entered ignores unknown rooms', () => {
+    const game = play([{ type: 'room_entered', room: 'attic', at }]);
+    expect(game).toBe(INITIAL_GAME);
+  });
+
+  test('room_entered turns to a spirit who is in the new room', () => {
+    const game = play([{ type: 'room_entered', room: 'kitchen', at }]);
+    expect(game.activeSpirit).toBe('hollis');
+  });
+
+  test('spirit_addressed only switches to a spirit in the current room', () => {
+    const inDining = play([{ type: 'room_entered', room: 'dining', at }]);
+    expect(play([{ type: 'spirit_addressed', spirit: 'hollis', at }], inDining).activeSpirit).toBe('hollis');
+    expect(play([{ type: 'spirit_addressed', spirit: 'pip', at }], inDining).activeSpirit).toBe('eleanor');
+  });
+
+  test('emotion_changed and flag_set record what they name', () => {
+    const game = play([
+      { type: 'emotion_changed', spirit: 'pip', emotion: 'playful', at },
+      { type: 'flag_set', flag: 'unlocked:gallery', at }
+    ]);
+    expect(game.spiritEmotions).toEqual({ pip: 'playful' });
+    expect(game.storyFlags).toEqual({ 'unlocked:gallery': true });
+  });
+
+  test('feature_examined sets the feature flag, if it has one', () => {
+    expect(play([{ type: 'feature_examined', room: 'study', feature: 'journals', at }]).storyFlags.read_journals).toBe(true);
+    expect(play([{ type: 'feature_examined', room: 'study', feature: 'portrait', at }]).storyFlags).toEqual({});
+  });
+
+  test('item_taken adds an item once, and never one already given away', () => {
+    const taken = play([
+      { type: 'item_taken', item: 'locket', at },
+      { type: 'item_taken', item: 'locket', at },
+      { type: 'item_taken', item: 'candlestick', at }
+    ]);
+    expect(taken.inventory).toEqual(['locket']);
+    const given = play([
+      { type: 'item_given', item: 'locket', spirit: 'eleanor', at },
+      { type: 'item_taken', item: 'locket', at }
+    ], taken);
+    expect(given.inventory).toEqual([]);
+  });
+
+  test('item_given moves the item, applies its gift trust and sets its flag', () => {
+    const game = play([
+      { type: 'item_taken', item: 'locket', at },
+      { type: 'item_given', item: 'locket', spirit: 'eleanor', at }
+    ]);
+    expect(game.inventory).toEqual([]);
+    expect(game.givenItems).toEqual(['locket']);
+    expect(game.storyFlags.locket_returned).toBe(true);
+    expect(game.trustHistory).toEqual([
+      expect.objectContaining({ spirit: 'eleanor', delta: 15, trust: 15, reasons: [expect.objectContaining({ id: 'gift', item: 'locket' })] })
+    ]);
+  });
+
+  test('item_given is refused by a spirit the item is not meant for', () => {
+    const carrying = play([{ type: 'item_taken', item: 'locket', at }]);
+    expect(play([{ type: 'item_given', item: 'locket', spirit: 'pip', at }], carrying)).toBe(carrying);
+  });
+
+  test('item_given does nothing for an item the player does not carry', () => {
+    expect(play([{ type: 'item_given', item: 'locket', spirit: 'eleanor', at }])).toBe(INITIAL_GAME);
+  });
+
+  test('trust_changed clamps trust between 0 and 100 and keeps each spirit apart', () => {
+    const game = play([
+      { type: 'trust_changed', spirit: 'eleanor', amount: 70, reasons: [], at },
+      { type: 'trust_changed', spirit: 'eleanor', amount: 50, reasons: [], at },
+      { type: 'trust_changed', spirit: 'pip', amount: -10, reasons: [], at }
+    ]);
+    expect(game.trustHistory.map(({ spirit, delta, trust }) => [spirit, delta, trust])).toEqual([
+      ['eleanor', 70, 70], ['eleanor', 30, 100], ['pip', 0, 0]
+    ]);
+  });
+
+  test('trust_changed with nothing to record is ignored', () => {
+    expect(play([{ type: 'trust_changed', spirit: 'eleanor', amount: 0, reasons: [], at }])).toBe(INITIAL_GAME);
+  });
+
+  test('trust_changed keeps the séance player who caused it', () => {
+    const author = { id: 'p2', name: 'Bo' };
+    const game = play([{ type: 'trust_changed', spirit: 'eleanor', amount: 5, reasons: [], author, at }]);
+    expect(game.trustHistory[0].author).toEqual(author);
+  });
+
+  test('chapter_reached moves the story on', () => {
+    expect(play([{ type: 'chapter_reached', chapter: 'secrets', at }]).chapter).toBe('secrets');
+  });
+
+  test('ending_reached keeps the first ending', () => {
+    const game = play([
+      { type: 'ending_reached', ending: 'ignorance', at: 1 },
+      { type: 'ending_reached', ending: 'freed', at: 2 }
+    ]);
+    expect(game.ending).toEqual({ id: 'ignorance', reachedAt: 1 });
+  });
+
+  test('turn_started and ghost_answered leave the rules untouched', () => {
+    const game = play([
+      { type: 'turn_started', label: 'Look around', room: 'entrance', at },
+      { type: 'ghost_answered', spirit: 'eleanor', text: 'Nothing of note.', at }
+    ]);
+    expect(game).toBe(INITIAL_GAME);
+  });
+
+  test('visiting a room unlocks its lore', () => {
+    const game = play([{ type: 'room_entered', room: 'entrance', at }]);
+    expect(game.journal).toEqual({ ashford_hall: at });
+  });
+
+  test("a spirit's reply unlocks lore it mentions as a whole word, in any case or language", () => {
+    const answer = (text, spirit = 'hollis') => play([{ type: 'ghost_answered', spirit, text, at }]).journal;
+    expect(answer('Dinner is at Eight, as always.')).toEqual({ dinner_at_eight: at });
+    expect(answer('La cena es a las ocho.')).toEqual({ dinner_at_eight: at });
+    expect(answer('¿Poesía? Hace años que no.', 'eleanor')).toEqual({ read_aloud: at });
+    expect(answer('POESÍA', 'eleanor')).toEqual({ read_aloud: at });
+  });
+
+  test('mentions inside longer words unlock nothing', () => {
+    const answer = (text) => play([{ type: 'ghost_answered', spirit: 'hollis', text, at }]).journal;
+    expect(answer('The weight of the silver, sir.')).toEqual({});
+    expect(answer('Eighteen places were laid.')).toEqual({});
+    expect(answer('Ochocientos cubiertos, señor.')).toEqual({});
+  });
+
+  test('only the named spirit unlocks its lore', () => {
+    expect(play([{ type: 'ghost_answered', spirit: 'pip', text: 'Eight!', at }]).journal).toEqual({});
+  });
+});
+
+describe('séance events', () => {
+  const seance = (mode, players = ['p1', 'p2', 'p3']) => play([
+    { type: 'seance_started', mode, state: { currentRoom: 'entrance', storyFlags: { read_journals: true } }, at },
+    ...players.map(id => ({ type: 'player_joined', player: { id, name: id.toUpperCase() }, at }))
+  ]);
+  const moved = (room) => ({ id: `moved-${room}`, role: 'system', content: `You enter the ${room}.`, timestamp: at, room });
+  const vote = (sender, room) => ({ type: 'travel_voted', sender, room, message: moved(room), at });
+
+  test('seance_started starts the shared game from the host state', () => {
+    const game = seance('vote', []);
+    expect(game.storyFlags).toEqual({ read_journals: true });
+    expect(game.party).toEqual({ mode: 'vote', players: [], votes: {}, arrivals: {} });
+  });
+
+  test('players join in order and leave with their vote', () => {
+    const joined = play([vote('p2', 'library')], seance('vote'));
+    expect(joined.party.players.map(({ id }) => id)).toEqual(['p1', 'p2', 'p3']);
+    const left = play([{ type: 'player_left', player: 'p2', at }], joined);
+    expect(left.party.players.map(({ id }) => id)).toEqual(['p1', 'p3']);
+    expect(left.party.votes).toEqual({});
+  });
+
+  test('seance_left keeps the game but ends the party', () => {
+    const game = play([{ type: 'seance_left', at }], seance('vote'));
+    expect(game.party).toBeNull();
+    expect(game.storyFlags).toEqual({ read_journals: true });
+  });
+
+  test('the group moves once more than half of the players vote for the same room', () => {
+    const split = play([vote('p1', 'library'), vote('p2', 'dining')], seance('vote'));
+    expect(split.currentRoom).toBe('entrance');
+    expect(split.party.votes).toEqual({ p1: 'library', p2: 'dining' });
+    const agreed = play([vote('p3', 'dining')], split);
+    expect(agreed.currentRoom).toBe('dining');
+    expect(agreed.party.votes).toEqual({});
+    expect(agreed.conversationHistory.slice(-1)[0]).toEqual(moved('dining'));
+  });
+
+  test('the votes left are counted again when a player leaves', () => {
+    const split = play([vote('p1', 'library'), vote('p2', 'dining')], seance('vote', ['p1', 'p2']));
+    expect(split.currentRoom).toBe('entrance');
+    const game = play([{ type: 'player_left', player: 'p2', at }], split);
+    expect(game.currentRoom).toBe('library');
+    expect(game.party.votes).toEqual({});
+    expect(game.conversationHistory.slice(-1)[0]).toEqual(moved('library'));
+  });
+
+  test('a player leaving without a majority left keeps the other votes', () => {
+    const split = play([vote('p1', 'library'), vote('p2', 'dining')], seance('vote'));
+    const game = play([{ type: 'player_left', player: 'p3', at }], split);
+    expect(game.currentRoom).toBe('entrance');
+    expect(game.party.votes).toEqual({ p1: 'library', p2: 'dining' });
+  });
+
+  test('a key given away still opens its door', () => {
+    const game = play([
+      { type: 'item_taken', item: 'brass_key', at },
+      { type: 'item_given', item: 'brass_key', spirit: 'hollis', at },
+      { type: 'flag_set', flag: 'locket_returned', at },
+      { type: 'room_entered', room: 'gallery', at },
+      vote('p1', 'bedroom'), vote('p2', 'bedroom')
+    ], seance('vote'));
+    expect(game.currentRoom).toBe('bedroom');
+  });
+
+  test('a changed vote replaces the earlier one', () => {
+    const game = play([vote('p1', 'library'), vote('p1', 'garden'), vote('p2', 'library')], seance('vote'));
+    expect(game.currentRoom).toBe('entrance');
+    expect(game.party.votes).toEqual({ p1: 'garden', p2: 'library' });
+  });
+
+  test('a majority for a locked passage clears the votes without moving', () => {
+    const game = play([vote('p1', 'gallery'), vote('p2', 'gallery')], seance('vote'));
+    expect(game.currentRoom).toBe('entrance');
+    expect(game.party.votes).toEqual({});
+  });
+
+  test('votes are ignored outside vote mode', () => {
+    const game = seance('host');
+    expect(play([vote('p1', 'library'), vote('p2', 'library')], game)).toBe(game);
+  });
+
+  test('when following a host, only the host moves the group', () => {
+    const game = seance('host');
+    expect(play([{ type: 'room_entered', room: 'library', sender: 'p2', at }], game).currentRoom).toBe('entrance');
+    expect(play([{ type: 'room_entered', room: 'library', sender: 'p1', at }], game).currentRoom).toBe('library');
+  });
+
+  test('the next player to have joined leads once the host leaves', () => {
+    const game = play([
+      { type: 'player_left', player: 'p1', at },
+      { type: 'room_entered', room: 'garden', sender: 'p2', at }
+    ], seance('host'));
+    expect(game.currentRoom).toBe('garden');
+  });
+});
+
+describe('engineReducer', () => {
+  const turn = (label) => ({ type: 'turn_started', label, room: 'entrance', at });
+
+  test('keeps every event in its log', () => {
+    const events = [
+      { type: 'game_started', state: {}, at },
+      turn('Go to the Library'),
+      { type: 'room_entered', room: 'library', at }
+    ];
+    const engine = run(events);
+    expect(engine.log).toEqual(events.slice(1));
+    expect(engine.start.currentRoom).toBe('entrance');
+  });
+
+  test('replaying the log from the start rebuilds the game', () => {
+    const engine = run([
+      { type: 'game_started', state: { inventory: ['locket'] }, at },
+      turn('Go to the Garden'),
+      { type: 'room_entered', room: 'garden', at },
+      turn('Give the locket'),
+      { type: 'item_given', item: 'locket', spirit: 'eleanor', at },
+      { type: 'message_added', message: message('a'), at },
+      { type: 'message_updated', id: 'a', changes: { content: 'Here.' }, at }
+    ]);
+    expect(engine.log.reduce(gameReducer, engine.start)).toEqual(engine.game);
+  });
+
+  test('undo goes back to the start of the last turn', () => {
+    const engine = run([
+      turn('Go to the Library'),
+      { type: 'room_entered', room: 'library', at },
+      turn('Go to the Study'),
+      { type: 'room_entered', room: 'study', at },
+      { type: 'undo', at }
+    ]);
+    expect(engine.game.currentRoom).toBe('library');
+    expect(engine.log.map(({ type }) => type)).toEqual(['turn_started', 'room_entered']);
+  });
+
+  test('undo adds its notice after rewinding', () => {
+    const notice = { id: 'undone', role: 'system', content: 'Undone: Go to the Library', timestamp: at };
+    const engine = run([turn('Go to the Library'), { type: 'room_entered', room: 'library', at }, { type: 'undo', notice, at }]);
+    expect(engine.game.conversationHistory).toEqual([{ ...notice, room: 'entrance' }]);
+  });
+
+  test('undo with no finished turn changes nothing', () => {
+    const engine = run([turn('Look around')]);
+    expect(getTurns(engine.log)).toEqual([]);
+    expect(engineReducer(engine, { type: 'undo', at })).toBe(engine);
+  });
+
+  test('rewind goes back to any turn_started in the log', () => {
+    const engine = run([
+      turn('Go to the Library'),
+      { type: 'room_entered', room: 'library', at },
+      turn('Go to the Study'),
+      { type: 'room_entered', room: 'study', at },
+      turn('Go to the Library'),
+      { type: 'room_entered', room: 'library', at }
+    ]);
+    expect(getTurns(engine.log).map(({ index }) => index)).toEqual([0, 2, 4]);
+    expect(engineReducer(engine, { type: 'rewind', index: 2, at }).game.currentRoom).toBe('library');
+    expect(engineReducer(engine, { type: 'rewind', index: 0, at }).game).toEqual(engine.start);
+    expect(engineReducer(engine, { type: 'rewind', index: 99, at })).toBe(engine);
+  });
+
+  test('consecutive updates to one message are merged in the log', () => {
+    const engine = run([
+      { type: 'message_added', message: message('a', ''), at },
+      { type: 'message_updated', id: 'a', changes: { content: 'The', streaming: true }, at },
+      { type: 'message_updated', id: 'a', changes: { content: 'The house' }, at },
+      { type: 'message_updated', id: 'a', changes: { content: 'The house breathes.', streaming: false }, at },
+      { type: 'message_updated', id: 'b', changes: { failed: true }, at }
+    ]);
+    expect(engine.log.map(({ type, id }) => `${type}:${id || ''}`)).toEqual(['message_added:', 'message_updated:a', 'message_updated:b']);
+    expect(engine.log[1].changes).toEqual({ content: 'The house breathes.', streaming: false });
+    expect(engine.game.conversationHistory[0]).toMatchObject({ content: 'The house breathes.', streaming: false });
+  });
+
+  test('consecutive turn markers collapse into the latest', () => {
+    const engine = run([turn('First'), turn('Second')]);
+    expect(engine.log).toEqual([turn('Second')]);
+  });
+
+  test('starting a séance starts a new log', () => {
+    const engine = run([turn('Look around'), { type: 'seance_started', mode: 'vote', state: {}, at }]);
+    expect(engine.log).toEqual([]);
+    expect(engine.game.party).toEqual({ mode: 'vote', players: [], votes: {}, arrivals: {} });
+  });
+});